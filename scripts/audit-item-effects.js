@@ -90,7 +90,10 @@ class EffectAuditor {
         if (v && v !== '0' && v !== '-1') {
           effects[apiKey] = {
             value: v,
-            label: val.label || apiKey
+            label: val.label || apiKey,
+            spiritScale: val.scale_function?.specific_stat_scale_type === 'ETechPower'
+              ? val.scale_function.stat_scale
+              : undefined
           };
         }
       }
@@ -133,10 +136,22 @@ class EffectAuditor {
       { api: 'SlowPercent', local: 'slowPercent', in: ['passive', 'active'], transform: v => parseFloat(v) / 100 },
       { api: 'SilenceDuration', local: 'silenceDuration', in: ['passive', 'active'] },
       { api: 'Radius', local: 'radius', in: ['passive', 'active'], transform: v => parseFloat(String(v).replace('m', '')) },
+      // Calculator fields, checked only where the item models them
+      { api: 'BonusFireRate', local: 'fireRateBonus', in: ['passive', 'active'], transform: v => parseFloat(v) / 100 },
+      { api: 'TechResist', local: 'spiritResistBonus', in: ['active'], transform: v => parseFloat(v) / 100 },
+      { api: 'BulletResist', local: 'bulletResistBonus', in: ['active'], transform: v => parseFloat(v) / 100 },
+      { api: 'TechPower', local: 'spiritBonus', in: ['passive', 'active'] },
+      { api: 'HealAmpReceivePercent', local: 'healAmp', in: ['passive'], transform: v => parseFloat(v) / 100 },
+      { api: 'OutOfCombatHealthRegen', local: 'outOfCombatRegenPercent', in: ['passive'], transform: v => parseFloat(v) / 100 },
+      // Active hit damage and its spirit power scaling
+      { api: 'Damage', local: 'baseDamage', in: ['active'] },
+      { api: 'AbilityDamage', local: 'baseDamage', in: ['active'] },
+      { api: 'Damage', local: 'spiritCoefficient', in: ['active'], read: 'spiritScale' },
+      { api: 'AbilityDamage', local: 'spiritCoefficient', in: ['active'], read: 'spiritScale' },
     ];
 
     for (const prop of keyEffectProps) {
-      const apiVal = apiEffects[prop.api]?.value;
+      const apiVal = apiEffects[prop.api]?.[prop.read || 'value'];
       if (!apiVal) continue;
 
       let apiNum = prop.transform ? prop.transform(apiVal) : parseFloat(apiVal);
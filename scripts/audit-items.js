@@ -21,16 +21,17 @@ const CATEGORY_MAP = {
 };
 
 // Stat property mapping: API property -> local stat key
+// Entries with bucket 'targetStats' are debuffs applied to the enemy, not the owner
 const STAT_MAPPING = {
-  'BonusClipSizePercent': { key: 'clipSize', transform: v => parseInt(v) },
+  'BonusClipSizePercent': { key: 'clipSize', transform: v => parseInt(v) / 100 },
   'BaseAttackDamagePercent': { key: 'weaponDamage', transform: v => parseInt(v) / 100 },
   'WeaponPower': { key: 'weaponDamage', transform: v => parseInt(v) / 100 },
   'TechPower': { key: 'spiritPower', transform: v => parseInt(v) },
   'BonusHealth': { key: 'health', transform: v => parseInt(v) },
   'BonusHealthRegen': { key: 'healthRegen', transform: v => parseFloat(v) },
   'BonusFireRate': { key: 'fireRate', transform: v => parseInt(v) / 100 },
-  'BulletResistReduction': { key: 'bulletResist', transform: v => parseInt(v) / 100 },
-  'TechResistReduction': { key: 'spiritResist', transform: v => parseInt(v) / 100 },
+  'BulletResistReduction': { key: 'bulletResistReduction', bucket: 'targetStats', transform: v => Math.abs(parseInt(v)) / 100 },
+  'TechResistReduction': { key: 'spiritResistReduction', bucket: 'targetStats', transform: v => Math.abs(parseInt(v)) / 100 },
   'BonusMoveSpeed': { key: 'moveSpeed', transform: v => parseFloat(v) },
   'StaminaBonus': { key: 'stamina', transform: v => parseInt(v) },
   'BonusBulletSpeedPercent': { key: 'bulletVelocity', transform: v => parseInt(v) / 100 },
@@ -43,6 +44,7 @@ class ItemAuditor {
     this.updateMode = options.update || false;
     this.dryRun = options.dryRun !== false;
     this.apiItems = null;
+    this.localIdsByName = {};
     this.discrepancies = [];
     this.updates = [];
   }
@@ -81,6 +83,32 @@ class ItemAuditor {
       .replace(/\s+/g, '_');
   }
 
+  // Components can come from any category, so index every local item up front
+  indexLocalItems() {
+    for (const category of Object.keys(CATEGORY_MAP)) {
+      const localData = this.loadLocalData(category);
+      if (!localData) continue;
+
+      for (const item of localData.items) {
+        this.localIdsByName[this.normalizeItemName(item.name)] = item.id;
+      }
+    }
+  }
+
+  // API component_items are class names; map them to local item ids by name
+  extractApiComponents(apiItem) {
+    return (apiItem.component_items || [])
+      .map(className => this.apiItems.find(item => item.class_name === className))
+      .filter(Boolean)
+      .map(component => this.localIdsByName[this.normalizeItemName(component.name)])
+      .filter(Boolean);
+  }
+
+  componentsDiffer(localItem, apiComponents) {
+    const localComponents = localItem.components || [];
+    return [...localComponents].sort().join(',') !== [...apiComponents].sort().join(',');
+  }
+
   findApiItem(localItem, category) {
     const normalizedLocal = this.normalizeItemName(localItem.name);
 
@@ -96,17 +124,17 @@ class ItemAuditor {
   }
 
   extractApiStats(apiItem) {
-    const stats = {};
+    const buckets = { stats: {}, targetStats: {} };
     const props = apiItem.properties || {};
 
     for (const [apiKey, mapping] of Object.entries(STAT_MAPPING)) {
       const prop = props[apiKey];
       if (prop && prop.value && prop.value !== '0' && prop.value !== '-1') {
-        stats[mapping.key] = mapping.transform(prop.value);
+        buckets[mapping.bucket || 'stats'][mapping.key] = mapping.transform(prop.value);
       }
     }
 
-    return stats;
+    return buckets;
   }
 
   compareItem(localItem, apiItem, category) {
@@ -130,24 +158,35 @@ class ItemAuditor {
       });
     }
 
+    // Compare upgrade components
+    const apiComponents = this.extractApiComponents(apiItem);
+    if (this.componentsDiffer(localItem, apiComponents)) {
+      issues.push({
+        field: 'components',
+        local: (localItem.components || []).join(', ') || '(none)',
+        api: apiComponents.join(', ') || '(none)'
+      });
+    }
+
     // Compare stats (only the ones we can map)
-    const apiStats = this.extractApiStats(apiItem);
-    const localStats = localItem.stats || {};
-
-    for (const [key, apiValue] of Object.entries(apiStats)) {
-      const localValue = localStats[key];
-      if (localValue === undefined) {
-        issues.push({
-          field: `stats.${key}`,
-          local: '(missing)',
-          api: apiValue
-        });
-      } else if (Math.abs(localValue - apiValue) > 0.001) {
-        issues.push({
-          field: `stats.${key}`,
-          local: localValue,
-          api: apiValue
-        });
+    for (const [bucket, apiStats] of Object.entries(this.extractApiStats(apiItem))) {
+      const localStats = localItem[bucket] || {};
+
+      for (const [key, apiValue] of Object.entries(apiStats)) {
+        const localValue = localStats[key];
+        if (localValue === undefined) {
+          issues.push({
+            field: `${bucket}.${key}`,
+            local: '(missing)',
+            api: apiValue
+          });
+        } else if (Math.abs(localValue - apiValue) > 0.001) {
+          issues.push({
+            field: `${bucket}.${key}`,
+            local: localValue,
+            api: apiValue
+          });
+        }
       }
     }
 
@@ -169,19 +208,36 @@ class ItemAuditor {
       localItem.tier = apiItem.item_tier;
     }
 
-    // Update stats
-    const apiStats = this.extractApiStats(apiItem);
-    if (!localItem.stats) localItem.stats = {};
-
-    for (const [key, apiValue] of Object.entries(apiStats)) {
-      const localValue = localItem.stats[key];
-      if (localValue === undefined || Math.abs(localValue - apiValue) > 0.001) {
-        changes.push({
-          field: `stats.${key}`,
-          old: localValue === undefined ? '(missing)' : localValue,
-          new: apiValue
-        });
-        localItem.stats[key] = apiValue;
+    // Update upgrade components
+    const apiComponents = this.extractApiComponents(apiItem);
+    if (this.componentsDiffer(localItem, apiComponents)) {
+      changes.push({
+        field: 'components',
+        old: (localItem.components || []).join(', ') || '(none)',
+        new: apiComponents.join(', ') || '(none)'
+      });
+      if (apiComponents.length > 0) {
+        localItem.components = apiComponents;
+      } else {
+        delete localItem.components;
+      }
+    }
+
+    // Update stats and target debuffs
+    for (const [bucket, apiStats] of Object.entries(this.extractApiStats(apiItem))) {
+      if (Object.keys(apiStats).length === 0) continue;
+      if (!localItem[bucket]) localItem[bucket] = {};
+
+      for (const [key, apiValue] of Object.entries(apiStats)) {
+        const localValue = localItem[bucket][key];
+        if (localValue === undefined || Math.abs(localValue - apiValue) > 0.001) {
+          changes.push({
+            field: `${bucket}.${key}`,
+            old: localValue === undefined ? '(missing)' : localValue,
+            new: apiValue
+          });
+          localItem[bucket][key] = apiValue;
+        }
       }
     }
 
@@ -190,6 +246,7 @@ class ItemAuditor {
 
   async audit() {
     await this.fetchApiData();
+    this.indexLocalItems();
 
     console.log(this.updateMode
       ? (this.dryRun ? '=== UPDATE DRY RUN ===' : '=== UPDATING FILES ===')
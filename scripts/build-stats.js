@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Deadlock Build Stats
+ * Runs the calculator on a saved build without a browser. Accepts a build
+ * JSON file, a share URL, or the bare encoded build parameter.
+ *
+ * Usage:
+ *   node scripts/build-stats.js <build> [--json]
+ *   node scripts/build-stats.js compare <buildA> <buildB> [--json]
+ * Options:
+ *   --souls <n>          Soul level (defaults to the build's, then item cost)
+ *   --fight-length <s>   Fight length for sustain stats (default 20)
+ *   --headshot-rate <%>  Headshot rate for expected DPS (default 0)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setGameData, getStatDefinition } from '../src/utils/gameData.js';
+import { calculateBuildStats, formatStat } from '../src/utils/calculator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../public/data');
+const ITEM_CATEGORIES = ['weapon', 'vitality', 'spirit'];
+
+// Same rows as the stat panel
+const STAT_GROUPS = [
+  {
+    title: 'Combat',
+    stats: [
+      { key: 'effectiveBulletDamage', name: 'Bullet Damage', format: 'number' },
+      { key: 'burstDps', name: 'DPS (Burst)', format: 'number' },
+      { key: 'sustainedDps', name: 'DPS (Sustained)', format: 'number' },
+      { key: 'expectedDps', name: 'Expected DPS', format: 'number' },
+      { key: 'expectedSustainedDps', name: 'Expected DPS (Sustained)', format: 'number' },
+      { key: 'headshotMultiplier', name: 'Headshot Multiplier', format: 'multiplier' },
+      { key: 'fireRate', name: 'Fire Rate', format: 'perSecond' },
+      { key: 'magazine', name: 'Ammo', format: 'number' },
+      { key: 'timeToEmpty', name: 'Time to Empty', format: 'seconds' },
+      { key: 'damagePerMagazine', name: 'Damage / Magazine', format: 'number' },
+      { key: 'reloadTime', name: 'Reload', format: 'seconds' }
+    ]
+  },
+  {
+    title: 'Survivability',
+    stats: [
+      { key: 'health', name: 'Health', format: 'number' },
+      { key: 'healthRegen', name: 'HP Regen', format: 'perSecond' },
+      { key: 'bulletResist', name: 'Bullet Resist', format: 'percent' },
+      { key: 'spiritResist', name: 'Spirit Resist', format: 'percent' },
+      { key: 'effectiveHealth', name: 'Effective HP (Bullet)', format: 'number' },
+      { key: 'effectiveHealthSpirit', name: 'Effective HP (Spirit)', format: 'number' },
+      { key: 'effectiveHealthMixed', name: 'Effective HP (Mixed)', format: 'number' }
+    ]
+  },
+  {
+    title: 'Sustain',
+    stats: [
+      { key: 'bulletLifesteal', name: 'Bullet Lifesteal', format: 'percent' },
+      { key: 'healingShooting', name: 'Healing (Shooting)', format: 'perSecond' },
+      { key: 'healingCasting', name: 'Healing (Casting)', format: 'perSecond' },
+      { key: 'healingOutOfCombat', name: 'Healing (Out of Combat)', format: 'perSecond' },
+      { key: 'effectiveHealthOverTime', name: 'Effective HP over Fight', format: 'number' }
+    ]
+  },
+  {
+    title: 'Spirit',
+    stats: [
+      { key: 'spiritPower', name: 'Spirit Power', format: 'number' },
+      { key: 'spiritDps', name: 'Spirit DPS', format: 'number' },
+      { key: 'spiritAmp', name: 'Spirit Amp', format: 'percent' },
+      { key: 'cooldownReduction', name: 'Cooldown Reduction', format: 'percent' },
+      { key: 'spiritLifesteal', name: 'Spirit Lifesteal', format: 'percent' },
+      { key: 'abilityRange', name: 'Ability Range', format: 'percent' }
+    ]
+  },
+  {
+    title: 'Mobility',
+    stats: [
+      { key: 'moveSpeed', name: 'Move Speed', format: 'mps' },
+      { key: 'sprintSpeed', name: 'Sprint', format: 'mps' },
+      { key: 'stamina', name: 'Stamina', format: 'number' }
+    ]
+  }
+];
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+class BuildStats {
+  constructor(options) {
+    this.options = options;
+    this.catalog = [];
+  }
+
+  loadData() {
+    setGameData({ progression: readJson('progression.json'), stats: readJson('stats.json') });
+    this.catalog = ITEM_CATEGORIES.flatMap(category =>
+      readJson(`items/${category}.json`).items.map(item => ({ ...item, category }))
+    );
+  }
+
+  // Share URLs and bare parameters are base64 JSON, as written by encodeBuildToURL
+  readBuild(input) {
+    if (!input.includes('build=') && fs.existsSync(input)) {
+      return JSON.parse(fs.readFileSync(input, 'utf8'));
+    }
+
+    try {
+      const encoded = input.includes('build=') ? new URL(input).searchParams.get('build') : input;
+      return JSON.parse(Buffer.from(encoded, 'base64').toString('latin1'));
+    } catch (error) {
+      throw new Error(`Could not read build "${input}": not a file, share URL or encoded build`);
+    }
+  }
+
+  calculate(input) {
+    const build = this.readBuild(input);
+    const heroFile = path.join(DATA_DIR, 'heroes', `${build.heroId}.json`);
+    if (!build.heroId || !fs.existsSync(heroFile)) {
+      throw new Error(`Unknown hero "${build.heroId}" in ${input}`);
+    }
+    const hero = JSON.parse(fs.readFileSync(heroFile, 'utf8'));
+
+    const { items, unknownItemIds, stats } = calculateBuildStats(hero, build, this.catalog, {
+      fightLength: this.options.fightLength,
+      headshotRate: this.options.headshotRate,
+      souls: this.options.souls
+    });
+    unknownItemIds.forEach(id => console.warn(`⚠️  Unknown item "${id}", using the saved copy`));
+
+    return { hero, items, stats };
+  }
+
+  toJson(result) {
+    return {
+      hero: result.hero.id,
+      items: result.items.map(item => item.id),
+      stats: result.stats
+    };
+  }
+
+  // Saved copies of removed items may have no name, so they print by id
+  itemLabel(id) {
+    const item = this.catalog.find(i => i.id === id);
+    return item ? item.name : `${id} (not in catalog)`;
+  }
+
+  formatBonus(bonus) {
+    return Object.entries(bonus || {})
+      .filter(([, value]) => value)
+      .map(([stat, value]) => {
+        const definition = getStatDefinition(stat);
+        return `+${formatStat(value, definition?.format)} ${definition?.name || stat}`;
+      })
+      .join(', ');
+  }
+
+  printHeading(title) {
+    console.log('\n' + '='.repeat(70));
+    console.log(title);
+    console.log('='.repeat(70));
+  }
+
+  printSheet(result) {
+    const { hero, items, stats } = result;
+
+    this.printHeading(`🧮 ${hero.name}: ${items.length} items, ${(stats.totalSouls || 0).toLocaleString()} souls`);
+    console.log(`  ${items.map(item => this.itemLabel(item.id)).join(', ') || 'No items'}`);
+
+    STAT_GROUPS.forEach(group => {
+      console.log(`\n${group.title}`);
+      group.stats.forEach(stat => {
+        console.log(`  ${stat.name.padEnd(30)}${formatStat(stats[stat.key] || 0, stat.format).padStart(12)}`);
+      });
+    });
+
+    console.log('\nInvestment');
+    Object.entries(stats.investmentBonuses || {}).forEach(([category, track]) => {
+      const label = `${category} T${track.tier}/${track.maxTier}`;
+      console.log(`  ${label.padEnd(30)}${this.formatBonus(track.bonus) || 'No bonus yet'}`);
+    });
+
+    if (stats.level && stats.level.maxBoons > 0) {
+      const label = `Boons ${stats.level.boons}/${stats.level.maxBoons}`;
+      console.log(`  ${label.padEnd(30)}${this.formatBonus(stats.level.bonus) || 'No boons yet'}`);
+    }
+  }
+
+  printComparison(a, b) {
+    this.printHeading(`⚖️  ${a.hero.name} (A) vs ${b.hero.name} (B)`);
+    const header = `  ${''.padEnd(30)}${'A'.padStart(12)}${'B'.padStart(12)}${'B - A'.padStart(12)}`;
+
+    STAT_GROUPS.forEach(group => {
+      console.log(`\n${group.title}`);
+      console.log(header);
+      group.stats.forEach(stat => {
+        const valueA = a.stats[stat.key] || 0;
+        const valueB = b.stats[stat.key] || 0;
+        const diff = valueB - valueA;
+        const diffText = Math.abs(diff) < 0.0001 ? '-' : `${diff > 0 ? '+' : ''}${formatStat(diff, stat.format)}`;
+        console.log(`  ${stat.name.padEnd(30)}${formatStat(valueA, stat.format).padStart(12)}${formatStat(valueB, stat.format).padStart(12)}${diffText.padStart(12)}`);
+      });
+    });
+
+    const diff = this.diffItems(a, b);
+    const names = ids => ids.map(id => this.itemLabel(id)).join(', ') || '-';
+    console.log('\nItems');
+    console.log(`  ${'Only A'.padEnd(12)}${names(diff.onlyA)}`);
+    console.log(`  ${'Only B'.padEnd(12)}${names(diff.onlyB)}`);
+    console.log(`  ${'Shared'.padEnd(12)}${names(diff.shared)}`);
+
+    console.log('\nInvestment');
+    Object.keys(a.stats.investmentBonuses || {}).forEach(category => {
+      const trackA = a.stats.investmentBonuses[category];
+      const trackB = b.stats.investmentBonuses[category];
+      console.log(`  ${category.padEnd(12)}A T${trackA.tier} (${trackA.spent.toLocaleString()})  B T${trackB.tier} (${trackB.spent.toLocaleString()})`);
+    });
+  }
+
+  diffItems(a, b) {
+    const idsA = a.items.map(item => item.id);
+    const idsB = b.items.map(item => item.id);
+
+    return {
+      onlyA: idsA.filter(id => !idsB.includes(id)),
+      onlyB: idsB.filter(id => !idsA.includes(id)),
+      shared: idsA.filter(id => idsB.includes(id))
+    };
+  }
+
+  // Numeric stats only; nested objects like breakdown are left to the full sheets
+  diffStats(a, b) {
+    const diff = {};
+    Object.entries(a.stats).forEach(([key, value]) => {
+      if (typeof value === 'number' && typeof b.stats[key] === 'number') {
+        diff[key] = b.stats[key] - value;
+      }
+    });
+    return diff;
+  }
+
+  run(inputs) {
+    this.loadData();
+
+    if (inputs[0] === 'compare') {
+      if (inputs.length !== 3) throw new Error('compare needs two builds');
+      const [a, b] = inputs.slice(1).map(input => this.calculate(input));
+
+      if (this.options.json) {
+        console.log(JSON.stringify({
+          a: this.toJson(a),
+          b: this.toJson(b),
+          diff: this.diffStats(a, b),
+          items: this.diffItems(a, b)
+        }, null, 2));
+      } else {
+        this.printComparison(a, b);
+      }
+      return;
+    }
+
+    if (inputs.length !== 1) throw new Error('Expected one build (or: compare <buildA> <buildB>)');
+    const result = this.calculate(inputs[0]);
+
+    if (this.options.json) {
+      console.log(JSON.stringify(this.toJson(result), null, 2));
+    } else {
+      this.printSheet(result);
+    }
+  }
+}
+
+// Parse command line args; value flags take the next argument
+const args = process.argv.slice(2);
+const VALUE_FLAGS = ['--souls', '--fight-length', '--headshot-rate'];
+const inputs = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[index - 1]));
+const getNumber = flag => {
+  const index = args.indexOf(flag);
+  const value = index >= 0 ? parseFloat(args[index + 1]) : NaN;
+  return Number.isFinite(value) ? value : undefined;
+};
+
+const buildStats = new BuildStats({
+  json: args.includes('--json'),
+  souls: getNumber('--souls'),
+  fightLength: getNumber('--fight-length') ?? 20,
+  headshotRate: Math.min(100, Math.max(0, getNumber('--headshot-rate') ?? 0)) / 100
+});
+
+try {
+  buildStats.run(inputs);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+/**
+ * Deadlock Ability Upgrade Migrator
+ * Converts free-text ability upgrade effects ("+50 Damage, -10s Cooldown")
+ * into structured modifiers the calculator can apply. The effect text is kept
+ * for display. Clauses the rules can't read are hand-annotated in ANNOTATIONS;
+ * clauses that carry no number (e.g. "Projectiles pierce") stay text-only.
+ * Any numeric clause left unread is flagged in the report and needs a rule or
+ * an annotation.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HEROES_DIR = path.join(__dirname, '../public/data/heroes');
+const NON_HERO_FILES = ['index.json', 'images.json', 'ability-images.json'];
+
+// Clause patterns: unit suffix + label -> ability stat.
+// Percent clauses on fractional stats are divided by 100.
+const CLAUSE_RULES = [
+  { pattern: /^(?:Base )?(?:Damage|DPS)$/i, stat: 'baseDamage' },
+  { pattern: /^Damage Per (?:Shot|Rocket|Projectile|Hit|Card|Cat|Scarab)$/i, stat: 'baseDamage' },
+  { pattern: /^Damage Per Stack$/i, stat: 'damagePerStack' },
+  { pattern: /^Min (?:Damage|DPS)$/i, stat: 'baseDamage' },
+  { pattern: /^Max (?:Damage|DPS)$/i, stat: 'maxDamage' },
+  { pattern: /^Explosion Damage$/i, stat: 'explosionDamage' },
+  { pattern: /^Bleed Damage$/i, stat: 'bleedDamage' },
+  { pattern: /^Burn DPS$/i, stat: 'burnDPS' },
+  { pattern: /^s Cooldown$/i, stat: 'cooldown' },
+  { pattern: /^s Duration$/i, stat: 'duration' },
+  { pattern: /^s Stun(?: Duration)?$/i, stat: 'stunDuration' },
+  { pattern: /^s Sleep Duration$/i, stat: 'sleepDuration' },
+  { pattern: /^s Slow Duration$/i, stat: 'slowDuration' },
+  { pattern: /^s Charge Time$/i, stat: 'chargeTime' },
+  { pattern: /^m Radius$/i, stat: 'radius' },
+  { pattern: /^m (?:Cast )?Range$/i, stat: 'range' },
+  { pattern: /^m Dash Distance$/i, stat: 'dashDistance' },
+  { pattern: /^Heal\/s$/i, stat: 'healPerSecond' },
+  { pattern: /^Heal(?: Amount)?$/i, stat: 'healAmount' },
+  { pattern: /^% Heal(?:ing| Percent)?$/i, stat: 'healPercent', kind: 'percent' },
+  { pattern: /^% Damage Regenerated$/i, stat: 'regenPercent', fraction: true },
+  { pattern: /^% Slow$/i, stat: 'slowPercent', fraction: true },
+  { pattern: /^% Fire Rate$/i, stat: 'fireRateBonus', fraction: true },
+  { pattern: /^% Weapon Damage$/i, stat: 'weaponDamageBonus', fraction: true },
+  { pattern: /^% Bonus Damage$/i, stat: 'bonusDamage', fraction: true },
+  { pattern: /^% Cooldown Refund$/i, stat: 'hitCooldownRefund', fraction: true },
+  { pattern: /^% (?:Bullet )?Lifesteal$/i, stat: 'bulletLifesteal', fraction: true },
+  { pattern: /^% Spirit Lifesteal$/i, stat: 'spiritLifesteal', fraction: true },
+  { pattern: /^% Bullet Resist$/i, stat: 'bulletResist', fraction: true },
+  { pattern: /^% Spirit Resist$/i, stat: 'spiritResist', fraction: true },
+  { pattern: /^Barrier$/i, stat: 'barrier' },
+  { pattern: /^Max Stacks$/i, stat: 'maxStacks' },
+  { pattern: /^(?:Max )?Charges?$/i, stat: 'charges' },
+  { pattern: /^Max Targets?$/i, stat: 'maxTargets' },
+  { pattern: /^(?:m\/s )?Move Speed$/i, stat: 'moveSpeedBonus' },
+  { pattern: /^Wall Health$/i, stat: 'wallHealth' },
+  { pattern: /^Turret Health$/i, stat: 'turretHealth' }
+];
+
+// Hand-annotated clauses the rules can't read, keyed by hero id / ability id.
+// Only numbers stated in the tier text are recorded; sentences without one
+// ("Projectiles pierce", "Gains Spirit Lifesteal") stay text-only.
+const ANNOTATIONS = {
+  'billy/bashdown': {
+    'Deals 60% Heavy Melee Damage': [{ stat: 'heavyMeleeDamage', amount: 0.6 }]
+  },
+  'billy/rising_ram': {
+    'On Impact -50% cooldown': [{ stat: 'impactCooldownReduction', amount: 0.5 }],
+    'On Impact +35% weapon damage for 5s': [
+      { stat: 'weaponDamageBonus', amount: 0.35 },
+      { stat: 'weaponDamageDuration', amount: 5 }
+    ],
+    'On Impact Deal 6.5% max health as spirit damage': [{ stat: 'maxHealthDamage', amount: 0.065 }]
+  },
+  'billy/blasted': {
+    '+2.25 m/s bonus move speed while Blasted': [{ stat: 'moveSpeedBonus', amount: 2.25 }],
+    '+1 Bashdown Charge on use': [{ stat: 'bashdownCharges', amount: 1 }],
+    '+7% Wrecked Bullet Amp': [{ stat: 'bulletAmp', amount: 0.07 }],
+    '+50 Melee Bonus Health': [{ stat: 'meleeBonusHealth', amount: 50 }]
+  },
+  'billy/chain_gang': {
+    '+15% Spirit and Bullet Resist': [
+      { stat: 'spiritResist', amount: 0.15 },
+      { stat: 'bulletResist', amount: 0.15 }
+    ],
+    '+90 Spirit Damage': [{ stat: 'baseDamage', amount: 90 }],
+    'Unstoppable for 2s on pull': [{ stat: 'unstoppableDuration', amount: 2 }]
+  },
+  'calico/feline_friends': {
+    'Cats also heal nearby allies for 10/s': [{ stat: 'allyHealPerSecond', amount: 10 }]
+  },
+  'calico/wall_run': {
+    'Can jump off walls to dash, dealing 100 damage on landing': [{ stat: 'landingDamage', amount: 100 }]
+  },
+  'calico/purrsuit': {
+    '+1.5 Move Speed Towards Target': [{ stat: 'moveSpeedBonus', amount: 1.5 }],
+    'Also gain +25% weapon damage against marked target': [{ stat: 'weaponDamageBonus', amount: 0.25 }]
+  },
+  'drifter/rend': {
+    '45% Bullet Lifesteal vs affected enemies for 4s': [
+      { stat: 'bulletLifesteal', amount: 0.45 },
+      { stat: 'lifestealDuration', amount: 4 }
+    ]
+  },
+  'drifter/stalkers_mark': {
+    // bleedDamage is stored as whole percent per second
+    '+1%/sec Bleed Damage': [{ stat: 'bleedDamage', amount: 1 }],
+    '+25% Fire Rate for 6s after ambush': [
+      { stat: 'fireRateBonus', amount: 0.25 },
+      { stat: 'fireRateDuration', amount: 6 }
+    ],
+    '+2 Ability Charges': [{ stat: 'charges', amount: 2 }]
+  },
+  'drifter/bloodscent': {
+    '+2m/s move speed near isolated enemies': [{ stat: 'moveSpeedBonus', amount: 2 }],
+    '-15s ability cooldown + 3 stamina restore on isolated kill': [
+      { stat: 'killCooldownRefund', amount: 15 },
+      { stat: 'staminaRestore', amount: 3 }
+    ],
+    '+10% Amplified Damage (total 25%)': [{ stat: 'amplifiedDamage', amount: 10 }]
+  },
+  'drifter/eternal_night': {
+    '+6.3 Spirit Damage Proc': [{ stat: 'baseDamage', amount: 6.3 }],
+    '+3m/s Sprint Speed': [{ stat: 'sprintSpeed', amount: 3 }]
+  },
+  'dynamo/quantum_entanglement': {
+    '+15% Shared Damage Reduction': [{ stat: 'sharePercent', amount: 0.15 }]
+  },
+  'dynamo/rejuvenating_aurora': {
+    '+50% Move Speed in aura': [{ stat: 'moveSpeedPercent', amount: 0.5 }]
+  },
+  'grey_talon/charged_shot': {
+    'Fully charged shots stun for 0.75s': [{ stat: 'stunDuration', amount: 0.75 }]
+  },
+  'grey_talon/rain_of_arrows': {
+    'Gain +30% Fire Rate in area': [{ stat: 'fireRateBonus', amount: 0.3 }]
+  },
+  'grey_talon/immobilizing_trap': {
+    '+1 Trap Charge': [{ stat: 'charges', amount: 1 }],
+    'Traps also disarm for 4s': [{ stat: 'disarmDuration', amount: 4 }]
+  },
+  'grey_talon/guided_owl': {
+    'Owl stuns for 1s': [{ stat: 'stunDuration', amount: 1 }]
+  },
+  'haze/sleep_dagger': {
+    'Target takes +25% damage on wake': [{ stat: 'wakeupDamage', amount: 0.25 }]
+  },
+  'holliday/weighted_dice': {
+    'Rolling double also heals for 150': [{ stat: 'healAmount', amount: 150 }]
+  },
+  'holliday/smoke_screen': {
+    'Gain invisibility for 3s when entering smoke': [{ stat: 'invisibilityDuration', amount: 3 }]
+  },
+  'holliday/quick_draw': {
+    'Headshots deal 2x damage': [{ stat: 'headshotMultiplier', amount: 2 }]
+  },
+  'infernus/catalyst': {
+    '+50 Threshold Damage': [{ stat: 'explosionThreshold', amount: 50 }]
+  },
+  'infernus/flame_dash': {
+    '+20 Trail DPS': [{ stat: 'trailDPS', amount: 20 }],
+    'Trail also slows by 25%': [{ stat: 'slowPercent', amount: 0.25 }]
+  },
+  'infernus/afterburn': {
+    'Burning enemies take +15% spirit damage': [{ stat: 'spiritDamageAmp', amount: 0.15 }]
+  },
+  'ivy/kudzu_bomb': {
+    'Enemies take +15% bullet damage in field': [{ stat: 'bulletDamageAmp', amount: 0.15 }]
+  },
+  'ivy/watcher_stone': {
+    '+1 Stone Charge': [{ stat: 'charges', amount: 1 }],
+    'Teleport heals for 150': [{ stat: 'healAmount', amount: 150 }]
+  },
+  'kelvin/arctic_beam': {
+    '+15% Bonus Damage to Slowed': [{ stat: 'bonusDamagePercent', amount: 0.15 }]
+  },
+  'kelvin/frozen_shelter': {
+    'Dome explodes at end dealing 200 damage': [{ stat: 'explosionDamage', amount: 200 }]
+  },
+  'lady_geist/essence_bomb': {
+    'Applies -25% healing reduction to enemies': [{ stat: 'healingReduction', amount: 0.25 }]
+  },
+  'lady_geist/soul_exchange': {
+    'Also stuns target for 1s, removes min health threshold': [{ stat: 'stunDuration', amount: 1 }]
+  },
+  'lash/ground_strike': {
+    'Center also stuns for 0.5s': [{ stat: 'stunDuration', amount: 0.5 }]
+  },
+  'lash/grapple': {
+    'Grappling an enemy also stuns them for 0.5s': [{ stat: 'stunDuration', amount: 0.5 }]
+  },
+  'lash/flog': {
+    '+20 degree cone': [{ stat: 'coneAngle', amount: 20 }],
+    'Also slows pulled enemies by 30% for 2s': [
+      { stat: 'slowPercent', amount: 0.3 },
+      { stat: 'slowDuration', amount: 2 }
+    ]
+  },
+  'mcginnis/mini_turret': {
+    '+8 Turret DPS': [{ stat: 'baseDamage', amount: 8 }],
+    'Turrets slow by 20%': [{ stat: 'slowPercent', amount: 0.2 }]
+  },
+  'mcginnis/medicinal_specter': {
+    'Also grants +15% bullet resist in radius': [{ stat: 'bulletResist', amount: 0.15 }]
+  },
+  'mcginnis/spectral_wall': {
+    '+6m Width': [{ stat: 'wallWidth', amount: 6 }]
+  },
+  'mcginnis/heavy_barrage': {
+    'Rockets also slow by 30%': [{ stat: 'slowPercent', amount: 0.3 }]
+  },
+  'mina/rake': {
+    '+20 healing per kill': [{ stat: 'healOnKill', amount: 20 }],
+    '+54 damage, improved healing scaling': [{ stat: 'baseDamage', amount: 54 }],
+    // missingHealthDamage is stored as whole percent
+    '+7% missing health as damage': [{ stat: 'missingHealthDamage', amount: 7 }]
+  },
+  'mina/sanguine_retreat': {
+    'Gain +30% fire rate, add 8 bullets on cast': [
+      { stat: 'fireRateBonus', amount: 0.3 },
+      { stat: 'bonusBullets', amount: 8 }
+    ]
+  },
+  'mina/love_bites': {
+    'On proc: +4 m/s move speed for 3s': [
+      { stat: 'moveSpeedBonus', amount: 4 },
+      { stat: 'moveSpeedDuration', amount: 3 }
+    ],
+    '+49.5 bonus damage': [{ stat: 'procDamage', amount: 49.5 }],
+    'On proc: -2 stamina': [{ stat: 'staminaDrain', amount: 2 }],
+    '30% slow for 3s': [
+      { stat: 'slowPercent', amount: 0.3 },
+      { stat: 'slowDuration', amount: 3 }
+    ]
+  },
+  'mina/nox_nostra': {
+    'On hit: +1% current health as bonus damage': [{ stat: 'currentHealthDamage', amount: 0.01 }]
+  },
+  'mirage/tornado': {
+    'Tornado also applies -40% fire rate for 3s': [
+      { stat: 'fireRateReduction', amount: 0.4 },
+      { stat: 'debuffDuration', amount: 3 }
+    ]
+  },
+  'mirage/fire_scarabs': {
+    'Scarabs also slow by 25%': [{ stat: 'slowPercent', amount: 0.25 }]
+  },
+  'mirage/traveler': {
+    'Enemies near exit are slowed 50%': [{ stat: 'slowPercent', amount: 0.5 }]
+  },
+  'mo_and_krill/scorn': {
+    'Also reduces enemy healing by 40%': [{ stat: 'healingReduction', amount: 0.4 }]
+  },
+  'mo_and_krill/sand_blast': {
+    'Also silences for 2s': [{ stat: 'silenceDuration', amount: 2 }]
+  },
+  'paige/conjure_dragon': {
+    '+2s Trail Duration': [{ stat: 'trailDuration', amount: 2 }]
+  },
+  'paige/defend_and_fight': {
+    '+16% Fire Rate on barrier': [{ stat: 'fireRateBonus', amount: 0.16 }],
+    '2 additional allies gain 75% barrier': [
+      { stat: 'allyTargets', amount: 2 },
+      { stat: 'allyBarrierPercent', amount: 0.75 }
+    ]
+  },
+  'paige/captivating_read': {
+    '-18% Spirit Resist on hit for 6s': [
+      { stat: 'spiritResistReduction', amount: 0.18 },
+      { stat: 'debuffDuration', amount: 6 }
+    ]
+  },
+  'paige/rallying_charge': {
+    '+4 Steed Width': [{ stat: 'steedWidth', amount: 4 }]
+  },
+  'paradox/time_wall': {
+    'Passing through wall also stuns for 0.75s': [{ stat: 'stunDuration', amount: 0.75 }]
+  },
+  'paradox/kinetic_carbine': {
+    'Target is also time-locked for 1.5s': [{ stat: 'timeLockDuration', amount: 1.5 }]
+  },
+  'pocket/flying_cloak': {
+    'Teleport also stuns nearby enemies for 1s': [{ stat: 'stunDuration', amount: 1 }]
+  },
+  'pocket/enchanted_satchel': {
+    'Also disarms for 3s on wake': [{ stat: 'disarmDuration', amount: 3 }]
+  },
+  'pocket/affliction': {
+    'Enemies also take 25% more spirit damage for 6s': [
+      { stat: 'spiritDamageAmp', amount: 0.25 },
+      { stat: 'debuffDuration', amount: 6 }
+    ]
+  },
+  'seven/lightning_ball': {
+    'Enemies hit are slowed by 25% for 2s': [
+      { stat: 'slowPercent', amount: 0.25 },
+      { stat: 'slowDuration', amount: 2 }
+    ]
+  },
+  'seven/static_charge': {
+    'Also stuns for 0.75s': [{ stat: 'stunDuration', amount: 0.75 }]
+  },
+  'seven/power_surge': {
+    'Also grants +20% move speed': [{ stat: 'moveSpeedPercent', amount: 0.2 }]
+  },
+  'seven/storm_cloud': {
+    '+30% Move Speed while channeling': [{ stat: 'moveSpeedPercent', amount: 0.3 }]
+  },
+  'shiv/serrated_knives': {
+    'Bleed also reduces healing by 35%': [{ stat: 'healingReduction', amount: 0.35 }]
+  },
+  'shiv/slice_and_dice': {
+    '+1 Additional Dash': [{ stat: 'additionalDashes', amount: 1 }]
+  },
+  'sinclair/vexing_bolt': {
+    'Apply -25% Fire Rate debuff for 5s': [
+      { stat: 'fireRateReduction', amount: 0.25 },
+      { stat: 'debuffDuration', amount: 5 }
+    ],
+    '+50% Assistant Damage': [{ stat: 'assistantDamageBonus', amount: 0.5 }]
+  },
+  'sinclair/spectral_assistant': {
+    '+12.6 Assistant Damage': [{ stat: 'baseDamage', amount: 12.6 }]
+  },
+  'sinclair/audience_participation': {
+    // Each tier raises the copied ultimate by one upgrade
+    'Upgrade copied ultimate to Tier 1': [{ stat: 'copiedUpgradeTier', amount: 1 }],
+    'Upgrade copied ultimate to Tier 2': [{ stat: 'copiedUpgradeTier', amount: 1 }],
+    'Upgrade copied ultimate to Tier 3': [{ stat: 'copiedUpgradeTier', amount: 1 }]
+  },
+  'the_doorman/call_bell': {
+    '+27 Impact Damage': [{ stat: 'baseDamage', amount: 27 }]
+  },
+  'the_doorman/luggage_cart': {
+    '+45 Cart Damage': [{ stat: 'baseDamage', amount: 45 }],
+    '117 Damage and 1.2s stun on wall impact': [
+      { stat: 'wallImpactDamage', amount: 117 },
+      { stat: 'stunDuration', amount: 1.2 }
+    ]
+  },
+  'victor/pain_battery': {
+    'Apply 40% Slow for 2s': [
+      { stat: 'slowPercent', amount: 0.4 },
+      { stat: 'slowDuration', amount: 2 }
+    ],
+    'On hero hit, heal 18% missing health': [{ stat: 'missingHealthHeal', amount: 0.18 }]
+  },
+  'victor/jumpstart': {
+    '+50 Total HP Regen': [{ stat: 'healAmount', amount: 50 }]
+  },
+  'victor/aura_of_suffering': {
+    '30% Slow to enemies': [{ stat: 'slowPercent', amount: 0.3 }],
+    'Enemies take +13% damage amplification': [{ stat: 'damageAmp', amount: 0.13 }]
+  },
+  'victor/shocking_reanimation': {
+    'While on cooldown, gain 20% Fire Rate and 9 Spirit Damage per bullet': [
+      { stat: 'fireRateBonus', amount: 0.2 },
+      { stat: 'spiritDamagePerBullet', amount: 9 }
+    ]
+  },
+  'vindicta/stake': {
+    'Stake also slows by 35% for 2s': [
+      { stat: 'slowPercent', amount: 0.35 },
+      { stat: 'slowDuration', amount: 2 }
+    ]
+  },
+  'vindicta/crows_sight': {
+    'Marked enemy is also slowed by 20%': [{ stat: 'slowPercent', amount: 0.2 }]
+  },
+  'viscous/splatter': {
+    'Puddle also applies -30% fire rate': [{ stat: 'fireRateReduction', amount: 0.3 }]
+  },
+  'viscous/the_cube': {
+    'Cube explodes at end dealing 150 damage to enemies': [{ stat: 'explosionDamage', amount: 150 }]
+  },
+  'viscous/puddle_punch': {
+    'Also grants 40% damage resist during dash': [{ stat: 'damageResist', amount: 0.4 }]
+  },
+  'vyper/screwjab_dagger': {
+    'On Hit: -8% Bullet Resist': [{ stat: 'bulletResistReduction', amount: 0.08 }],
+    '-5% per stack': [{ stat: 'bulletResistPerStack', amount: 0.05 }],
+    'Refund 40% charge cooldown on hit': [{ stat: 'hitCooldownRefund', amount: 0.4 }]
+  },
+  'vyper/lethal_venom': {
+    '+31.5 max venom damage': [{ stat: 'maxDamage', amount: 31.5 }],
+    '-40% healing reduction': [{ stat: 'healingReduction', amount: 0.4 }]
+  },
+  'vyper/slither': {
+    // slideDistanceBonus is stored as whole percent
+    '+20% slide distance': [{ stat: 'slideDistanceBonus', amount: 20 }],
+    '+2 stamina': [{ stat: 'stamina', amount: 2 }],
+    'On slide: gain 180 barrier for 5s (8s cooldown)': [
+      { stat: 'barrier', amount: 180 },
+      { stat: 'barrierDuration', amount: 5 },
+      { stat: 'barrierCooldown', amount: 8 }
+    ]
+  },
+  'warden/alchemical_flask': {
+    'Also reduces enemy healing by 40%': [{ stat: 'healingReduction', amount: 0.4 }]
+  },
+  'warden/willpower': {
+    'Also grants +30% bullet resist': [{ stat: 'bulletResist', amount: 0.3 }]
+  },
+  'warden/binding_word': {
+    'Also silences for 3s': [{ stat: 'silenceDuration', amount: 3 }]
+  },
+  'warden/last_stand': {
+    'Also grants +35% fire rate': [{ stat: 'fireRateBonus', amount: 0.35 }]
+  },
+  'wraith/full_auto': {
+    'Also grants +15% lifesteal': [{ stat: 'bulletLifesteal', amount: 0.15 }]
+  },
+  'yamato/power_slash': {
+    'Charged slash also stuns for 0.75s': [{ stat: 'stunDuration', amount: 0.75 }]
+  },
+  'yamato/flying_strike': {
+    'Also slows enemies by 40% for 2.5s': [
+      { stat: 'slowPercent', amount: 0.4 },
+      { stat: 'slowDuration', amount: 2.5 }
+    ]
+  }
+};
+
+// Numeric clauses with no stat the calculator models; kept as text on purpose
+const TEXT_ONLY_CLAUSES = [
+  'Regen pauses 1s faster'
+];
+
+const CLAUSE_PATTERN = /^([+-])(\d+(?:\.\d+)?)\s*(.+)$/;
+
+// A new clause starts after a semicolon, or after a comma or ampersand that is
+// followed by a number or a capitalised sentence. Lower-case continuations
+// ("On hero hit, heal 18% missing health") stay in one clause.
+const CLAUSE_BOUNDARY = /;\s*|,\s*(?=[+-]?\d|[A-Z])|\s+&\s+(?=[+-]?\d)/;
+
+const UNIT_PATTERN = /^(%|m\/s|s|m|x)\s+(.+)$/i;
+
+function normalizeLabel(text) {
+  return text.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Falls back to a numeric field the ability already has ("+2 Knives" -> knives,
+// "+1 Cat" -> catCount, "+0.75s Invuln" -> invulnDuration)
+function findAbilityField(label, ability) {
+  const [, unit = '', name = label] = label.match(UNIT_PATTERN) || [];
+  const wanted = normalizeLabel(name);
+  const candidates = [wanted, `${wanted}s`, `${wanted}count`];
+  if (unit.toLowerCase() === 's') candidates.push(`${wanted}duration`);
+  if (unit === '%') candidates.push(`${wanted}percent`);
+
+  const stat = Object.keys(ability).find(key => (
+    typeof ability[key] === 'number' && candidates.includes(normalizeLabel(key))
+  ));
+  return stat ? { stat, fraction: unit === '%' } : null;
+}
+
+function toModifier(rule, amount, ability) {
+  // Abilities that store a percent stat as a whole number (e.g. damageAmp: 15) keep the text's number
+  const wholePercent = rule.kind !== 'percent' && ability[rule.stat] > 1;
+  if ((rule.fraction || rule.kind === 'percent') && !wholePercent) {
+    // Round away float noise from the percent conversion (e.g. 7 / 100)
+    amount = Math.round(amount * 10000) / 1000000;
+  }
+
+  return { stat: rule.stat, amount, kind: rule.kind || 'flat' };
+}
+
+export function parseUpgradeEffect(effect, ability = {}, annotations = {}) {
+  const modifiers = [];
+  const unparsed = [];
+
+  effect.split(CLAUSE_BOUNDARY).map(clause => clause.trim()).filter(Boolean).forEach(clause => {
+    if (annotations[clause]) {
+      annotations[clause].forEach(({ stat, amount, kind = 'flat' }) => modifiers.push({ stat, amount, kind }));
+      return;
+    }
+
+    const match = clause.match(CLAUSE_PATTERN);
+    const label = match && match[3].trim();
+    const rule = match && (CLAUSE_RULES.find(r => r.pattern.test(label)) || findAbilityField(label, ability));
+
+    if (!rule) {
+      unparsed.push(clause);
+      return;
+    }
+
+    const sign = match[1] === '-' ? -1 : 1;
+    modifiers.push(toModifier(rule, sign * parseFloat(match[2]), ability));
+  });
+
+  return { modifiers, unparsed };
+}
+
+class UpgradeMigrator {
+  constructor(dryRun = true) {
+    this.dryRun = dryRun;
+    this.migrated = [];
+    this.unparsed = [];
+  }
+
+  migrateHero(filePath) {
+    const hero = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    let modifierCount = 0;
+
+    (hero.abilities || []).forEach(ability => {
+      (ability.upgrades || []).forEach((upgrade, index) => {
+        const annotations = ANNOTATIONS[`${hero.id}/${ability.id}`] || {};
+        const { modifiers, unparsed } = parseUpgradeEffect(upgrade.effect || '', ability, annotations);
+        upgrade.modifiers = modifiers;
+        modifierCount += modifiers.length;
+
+        unparsed.forEach(clause => {
+          this.unparsed.push({ hero: hero.name, ability: ability.name, tier: index + 1, clause });
+        });
+      });
+    });
+
+    this.migrated.push({ hero: hero.name, file: path.basename(filePath), modifiers: modifierCount });
+
+    if (!this.dryRun) {
+      fs.writeFileSync(filePath, JSON.stringify(hero, null, 2) + '\n');
+    }
+  }
+
+  migrate() {
+    console.log(this.dryRun ? '=== DRY RUN (no files will be modified) ===' : '=== UPDATING FILES ===');
+    console.log('');
+
+    const heroFiles = fs.readdirSync(HEROES_DIR)
+      .filter(f => f.endsWith('.json') && !NON_HERO_FILES.includes(f));
+
+    for (const file of heroFiles) {
+      this.migrateHero(path.join(HEROES_DIR, file));
+    }
+
+    this.printReport();
+  }
+
+  printReport() {
+    console.log('='.repeat(70));
+    console.log('MIGRATION REPORT');
+    console.log('='.repeat(70));
+    console.log(`Generated: ${new Date().toISOString()}`);
+    console.log(`Mode: ${this.dryRun ? 'DRY RUN' : 'LIVE UPDATE'}`);
+    console.log('='.repeat(70) + '\n');
+
+    for (const entry of this.migrated) {
+      console.log(`  ${entry.hero.padEnd(16)} ${String(entry.modifiers).padStart(3)} modifiers  (${entry.file})`);
+    }
+
+    const numeric = this.unparsed.filter(entry => /\d/.test(entry.clause) && !TEXT_ONLY_CLAUSES.includes(entry.clause));
+    if (numeric.length > 0) {
+      console.log(`\n⚠️  ${numeric.length} numeric clauses need a rule or an annotation:\n`);
+      for (const entry of numeric) {
+        console.log(`  ${entry.hero} / ${entry.ability} T${entry.tier}: ${entry.clause}`);
+      }
+    }
+
+    const textOnly = this.unparsed.filter(entry => !numeric.includes(entry));
+    if (textOnly.length > 0) {
+      console.log(`\n📝 ${textOnly.length} text-only clauses (kept for display):\n`);
+      for (const entry of textOnly) {
+        console.log(`  ${entry.hero} / ${entry.ability} T${entry.tier}: ${entry.clause}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(70));
+    console.log('SUMMARY');
+    console.log('='.repeat(70));
+    console.log(`  Heroes migrated:     ${this.migrated.length}`);
+    console.log(`  Modifiers created:   ${this.migrated.reduce((sum, m) => sum + m.modifiers, 0)}`);
+    console.log(`  Text-only clauses:   ${this.unparsed.length - numeric.length}`);
+    console.log(`  Unread numeric:      ${numeric.length}`);
+
+    if (this.dryRun) {
+      console.log('\n⚠️  DRY RUN: No files were modified.');
+      console.log('   Run with --apply to make changes.');
+    } else {
+      console.log('\n✅ Files have been updated.');
+    }
+  }
+}
+
+// Parse command line args
+const args = process.argv.slice(2);
+const dryRun = !args.includes('--apply');
+
+const migrator = new UpgradeMigrator(dryRun);
+migrator.migrate();
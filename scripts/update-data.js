@@ -47,7 +47,27 @@ const STAT_MAPPING = {
   'base_health_regen': 'healthRegen',
   'max_move_speed': 'moveSpeed',
   'sprint_speed': 'sprintSpeed',
-  'stamina': 'stamina'
+  'stamina': 'stamina',
+  'crit_damage_bonus_scale': 'headshotMultiplier'
+};
+
+// Shared base stats from stats.json
+const BASE_STAT_DEFAULTS = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'stats.json'), 'utf-8')).baseStatDefaults;
+
+// Stats heroes only store when they differ from the shared default
+const DEFAULTED_STATS = ['headshotMultiplier'];
+
+// API values that need converting to the local unit
+const STAT_TRANSFORMS = {
+  // The API scales the headshot bonus; locally it is a full damage multiplier
+  headshotMultiplier: scale => Math.round((1 + (BASE_STAT_DEFAULTS.headshotMultiplier - 1) * scale) * 1000) / 1000
+};
+
+// Boon stat mapping: API standard_level_up_upgrades key -> local stat
+const BOON_MAPPING = {
+  'MODIFIER_VALUE_BASE_BULLET_DAMAGE_FROM_LEVEL': 'bulletDamage',
+  'MODIFIER_VALUE_BASE_HEALTH_FROM_LEVEL': 'health',
+  'MODIFIER_VALUE_TECH_POWER': 'spiritPower'
 };
 
 class Updater {
@@ -80,6 +100,23 @@ class Updater {
     return value?.value ?? value;
   }
 
+  // Souls needed for each boon (levels that grant the standard upgrade) and the stats each boon adds
+  extractLevelScaling(apiHero) {
+    const levels = Object.values(apiHero.level_info || {})
+      .filter(level => level.use_standard_upgrade)
+      .map(level => level.required_gold)
+      .sort((a, b) => a - b);
+
+    const perBoon = {};
+    for (const [apiField, localField] of Object.entries(BOON_MAPPING)) {
+      const value = apiHero.standard_level_up_upgrades?.[apiField];
+      if (value) perBoon[localField] = value;
+    }
+
+    if (levels.length === 0 || Object.keys(perBoon).length === 0) return null;
+    return { boonSouls: levels, perBoon };
+  }
+
   updateHero(apiHero, localFilePath) {
     const localData = JSON.parse(fs.readFileSync(localFilePath, 'utf-8'));
     const heroName = localData.name || localData.id;
@@ -95,12 +132,23 @@ class Updater {
 
     // Update mapped stats
     for (const [apiField, localField] of Object.entries(STAT_MAPPING)) {
-      const apiValue = this.getApiValue(apiStats, apiField);
+      const rawValue = this.getApiValue(apiStats, apiField);
+      const transform = STAT_TRANSFORMS[localField];
+      const apiValue = rawValue !== undefined && transform ? transform(rawValue) : rawValue;
 
       if (apiValue !== undefined) {
         const oldValue = localData.baseStats[localField];
+        const isDefault = DEFAULTED_STATS.includes(localField) && apiValue === BASE_STAT_DEFAULTS[localField];
 
-        if (oldValue !== apiValue) {
+        if (isDefault && oldValue !== undefined) {
+          changes.push({
+            field: localField,
+            old: oldValue,
+            new: undefined
+          });
+          delete localData.baseStats[localField];
+          changed = true;
+        } else if (!isDefault && oldValue !== apiValue) {
           changes.push({
             field: localField,
             old: oldValue,
@@ -112,6 +160,22 @@ class Updater {
       }
     }
 
+    // Update level scaling
+    const levelScaling = this.extractLevelScaling(apiHero);
+    if (levelScaling && JSON.stringify(localData.levelScaling) !== JSON.stringify(levelScaling)) {
+      const describe = scaling => scaling
+        ? `${scaling.boonSouls.length} boons, ${Object.entries(scaling.perBoon).map(([stat, value]) => `${stat} +${value}`).join(', ')}`
+        : undefined;
+
+      changes.push({
+        field: 'levelScaling',
+        old: describe(localData.levelScaling),
+        new: describe(levelScaling)
+      });
+      localData.levelScaling = levelScaling;
+      changed = true;
+    }
+
     if (changed) {
       this.updates.push({
         hero: heroName,
@@ -12,6 +12,35 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '../public/data');
 const API_BASE = 'https://assets.deadlock-api.com/v2';
 
+const percent = v => parseFloat(v) / 100;
+
+// Calculator fields modelled on an item's active or passive. Only fields an item
+// already has, or that MODELLED_FIELDS lists for it, are synced: many items carry
+// the same property as a plain stat bonus.
+const CALCULATOR_FIELDS = [
+  // Active buffs (simulated over the fight length)
+  { field: 'fireRateBonus', prop: 'BonusFireRate', transform: percent },
+  { field: 'bulletResistBonus', prop: 'BulletResist', transform: percent },
+  { field: 'spiritResistBonus', prop: 'TechResist', transform: percent },
+  { field: 'spiritBonus', prop: 'TechPower' },
+  // Sustain
+  { field: 'healAmp', prop: 'HealAmpReceivePercent', transform: percent },
+  { field: 'outOfCombatRegenPercent', prop: 'OutOfCombatHealthRegen', transform: percent }
+];
+
+// Active buffs and hit damage the calculator models per item; the values come from the API
+const MODELLED_FIELDS = {
+  fury_trance: ['fireRateBonus', 'spiritResistBonus'],
+  colossus: ['bulletResistBonus', 'spiritResistBonus'],
+  infuser: ['spiritBonus'],
+  cold_front: ['baseDamage'],
+  arctic_blast: ['baseDamage'],
+  phantom_strike: ['baseDamage']
+};
+
+// Properties holding an active's hit damage, in the order they are tried
+const DAMAGE_PROPS = ['Damage', 'AbilityDamage'];
+
 class EffectUpdater {
   constructor(dryRun = true) {
     this.dryRun = dryRun;
@@ -69,6 +98,15 @@ class EffectUpdater {
     return val;
   }
 
+  // Spirit power scaling sits on the damage property's scale function
+  getApiSpiritScale(apiItem, propName) {
+    const scale = apiItem.properties?.[propName]?.scale_function;
+    if (!scale || scale.specific_stat_scale_type !== 'ETechPower' || !scale.stat_scale) {
+      return null;
+    }
+    return scale.stat_scale;
+  }
+
   updateItemEffects(localItem, apiItem) {
     const changes = [];
     const isApiActive = apiItem.is_active_item;
@@ -161,6 +199,33 @@ class EffectUpdater {
       }
     }
 
+    // Update calculator fields
+    const modelled = MODELLED_FIELDS[localItem.id] || [];
+    CALCULATOR_FIELDS.forEach(({ field, prop, transform }) => {
+      if (target[field] === undefined && !modelled.includes(field)) return;
+      const apiValue = this.getApiPropValue(apiItem, prop, transform);
+      if (apiValue !== null && target[field] !== apiValue) {
+        changes.push({ field, old: target[field], new: apiValue });
+        target[field] = apiValue;
+      }
+    });
+
+    // Update hit damage and spirit scaling, only on items the calculator deals damage for
+    const damageProp = DAMAGE_PROPS.find(prop => this.getApiPropValue(apiItem, prop) !== null);
+    if (damageProp && (target.baseDamage !== undefined || modelled.includes('baseDamage'))) {
+      const apiDamage = this.getApiPropValue(apiItem, damageProp);
+      if (target.baseDamage !== apiDamage) {
+        changes.push({ field: 'baseDamage', old: target.baseDamage, new: apiDamage });
+        target.baseDamage = apiDamage;
+      }
+
+      const apiSpiritScale = this.getApiSpiritScale(apiItem, damageProp);
+      if (apiSpiritScale !== null && target.spiritCoefficient !== apiSpiritScale) {
+        changes.push({ field: 'spiritCoefficient', old: target.spiritCoefficient, new: apiSpiritScale });
+        target.spiritCoefficient = apiSpiritScale;
+      }
+    }
+
     // Re-assign the target back
     if (localItem.active) {
       localItem.active = target;
@@ -1,6 +1,19 @@
 // Ability Panel Component
 
-import { calculateAbilityDamage } from '../utils/calculator.js';
+import {
+  calculateAbilityStats,
+  calculateAbilityPointsUsed,
+  getAbilityPointsAvailable,
+  getAbilityUnlockSouls,
+  getAbilityUpgradeCosts,
+  formatStat
+} from '../utils/calculator.js';
+import { getStatDefinition } from '../utils/gameData.js';
+
+const FIELD_LABELS = {
+  cooldown: 'CD',
+  baseDamage: 'Damage'
+};
 
 export class AbilityPanel {
   constructor(container, onUpgradeChange) {
@@ -8,7 +21,9 @@ export class AbilityPanel {
     this.onUpgradeChange = onUpgradeChange;
     this.hero = null;
     this.upgrades = {};
-    this.spiritPower = 0;
+    this.stats = {};
+    this.souls = 0;
+    this.pointsEl = document.getElementById('ability-points');
     this.abilityImages = null;
     this.loadAbilityImages();
   }
@@ -42,11 +57,18 @@ export class AbilityPanel {
     this.render();
   }
 
-  setSpiritPower(spiritPower) {
-    this.spiritPower = spiritPower;
+  setStats(stats) {
+    this.stats = stats;
     this.updateDamageDisplays();
   }
 
+  // Soul level drives ability unlocks and the ability point budget
+  setSouls(souls) {
+    if (souls === this.souls) return;
+    this.souls = souls;
+    this.render();
+  }
+
   setUpgrades(upgrades) {
     this.upgrades = upgrades;
     this.render();
@@ -55,32 +77,35 @@ export class AbilityPanel {
   render() {
     if (!this.hero) {
       this.container.innerHTML = '<p>Select a hero to view abilities</p>';
+      if (this.pointsEl) this.pointsEl.textContent = '';
       return;
     }
 
+    const remaining = getAbilityPointsAvailable(this.souls) - this.getTotalPointsUsed();
+    this.renderPoints(remaining);
+
     this.container.innerHTML = this.hero.abilities.map((ability, index) => {
       const isUltimate = ability.type === 'ultimate' || ability.key === '4';
       const currentLevel = this.upgrades[ability.id] || 0;
-      const damage = calculateAbilityDamage(ability, this.spiritPower, currentLevel);
+      const unlockSouls = getAbilityUnlockSouls(ability);
+      const isLocked = this.souls < unlockSouls;
       const imageUrl = this.getAbilityImageUrl(ability.id);
       const bgStyle = imageUrl ? `style="--ability-bg: url('${imageUrl}')"` : '';
 
       return `
-        <div class="ability-card ${isUltimate ? 'ultimate' : ''} ${imageUrl ? 'has-bg' : ''}" data-ability-id="${ability.id}" ${bgStyle}>
+        <div class="ability-card ${isUltimate ? 'ultimate' : ''} ${isLocked ? 'locked' : ''} ${imageUrl ? 'has-bg' : ''}" data-ability-id="${ability.id}" ${bgStyle}>
           <div class="ability-content">
             <div class="ability-header">
               <span class="ability-name">[${ability.key}] ${ability.name}</span>
               <span class="ability-type">${ability.type}</span>
             </div>
+            ${isLocked ? `<div class="ability-lock">Unlocks at ${unlockSouls.toLocaleString()} souls</div>` : ''}
             <div class="ability-description">${ability.description}</div>
             <div class="ability-stats">
-              ${ability.cooldown ? `<span class="ability-stat">CD: <span class="ability-stat-value">${ability.cooldown}s</span></span>` : ''}
-              ${damage ? `<span class="ability-stat">Damage: <span class="ability-stat-value damage-value">${damage.total}</span></span>` : ''}
-              ${ability.duration ? `<span class="ability-stat">Duration: <span class="ability-stat-value">${ability.duration}s</span></span>` : ''}
-              ${ability.range ? `<span class="ability-stat">Range: <span class="ability-stat-value">${ability.range}m</span></span>` : ''}
+              ${this.renderAbilityStats(ability, currentLevel)}
             </div>
             <div class="ability-upgrades">
-              ${this.renderUpgradeButtons(ability, currentLevel)}
+              ${this.renderUpgradeButtons(ability, currentLevel, isLocked, remaining)}
             </div>
           </div>
         </div>
@@ -90,18 +115,83 @@ export class AbilityPanel {
     this.bindUpgradeEvents();
   }
 
-  renderUpgradeButtons(ability, currentLevel) {
-    const costs = [1, 2, 5];
+  renderPoints(remaining) {
+    if (!this.pointsEl) return;
+
+    const available = getAbilityPointsAvailable(this.souls);
+    this.pointsEl.textContent = `AP ${available - remaining}/${available}`;
+    this.pointsEl.classList.toggle('over-budget', remaining < 0);
+    this.pointsEl.title = remaining < 0
+      ? `${-remaining} more ability points than ${this.souls.toLocaleString()} souls allow`
+      : `${remaining} ability points left at ${this.souls.toLocaleString()} souls`;
+  }
+
+  renderAbilityStats(ability, currentLevel) {
+    return calculateAbilityStats(ability, this.stats, currentLevel).map(field => {
+      const changed = Math.abs(field.value - field.base) > 0.001;
+      const sources = field.sources.map(source => this.formatSource(field.key, source)).join(', ');
+
+      return `
+        <span class="ability-stat" ${sources ? `title="${sources}"` : ''}>
+          ${this.getFieldLabel(field.key)}:
+          ${changed ? `<span class="ability-stat-base">${this.formatField(field.key, field.base)}</span> &rarr;` : ''}
+          <span class="ability-stat-value">${this.formatField(field.key, field.value)}</span>
+          ${sources ? `<span class="ability-stat-sources">(${sources})</span>` : ''}
+        </span>
+      `;
+    }).join('');
+  }
+
+  getFieldLabel(key) {
+    if (FIELD_LABELS[key]) return FIELD_LABELS[key];
+    // camelCase -> Title Case
+    const words = key.replace(/([A-Z])/g, ' $1');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  formatField(key, value) {
+    const rounded = Math.round(value * 100) / 100;
+    if (/^cooldown$|^delay$|Duration$|^duration$|Time$/.test(key)) return `${rounded}s`;
+    if (/^(range|radius)$|(Range|Radius|Distance)$/.test(key)) return `${rounded}m`;
+    // Percent fields are stored as fractions
+    if (/Percent$/.test(key) && Math.abs(value) <= 1) return `${Math.round(value * 100)}%`;
+    return `${rounded}`;
+  }
+
+  formatSource(key, source) {
+    const sign = source.amount < 0 ? '' : '+';
+
+    if (source.stat === 'upgrades') {
+      return `Upgrades ${sign}${this.formatField(key, source.amount)}`;
+    }
+    if (source.stat === 'spiritPower') {
+      return `Spirit ${sign}${Math.round(source.amount)}`;
+    }
+
+    const definition = getStatDefinition(source.stat);
+    return `${definition?.name || source.stat} ${formatStat(source.amount, definition?.format)}`;
+  }
+
+  // Locked abilities can't be upgraded; tiers that cost more than the remaining points are blocked.
+  // Purchased tiers stay clickable so they can be refunded, and are flagged when the budget is exceeded.
+  renderUpgradeButtons(ability, currentLevel, isLocked, remaining) {
+    const costs = getAbilityUpgradeCosts();
 
     return ability.upgrades.map((upgrade, index) => {
       const cost = costs[index];
       const isActive = currentLevel > index;
-      const tooltipText = upgrade.effect;
+      const extraCost = costs.slice(currentLevel, index + 1).reduce((sum, tierCost) => sum + tierCost, 0);
+      const isBlocked = !isActive && (isLocked || extraCost > remaining);
+      const isOverBudget = isActive && (isLocked || remaining < 0);
+      const tooltipText = isBlocked && !isLocked
+        ? `${upgrade.effect} (needs ${extraCost - remaining} more ability points)`
+        : upgrade.effect;
 
       return `
-        <button class="upgrade-btn ${isActive ? 'active' : ''}"
+        <button class="upgrade-btn ${isActive ? 'active' : ''} ${isOverBudget ? 'over-budget' : ''}"
                 data-ability-id="${ability.id}"
                 data-level="${index + 1}"
+                ${isBlocked ? 'disabled' : ''}
                 title="${tooltipText}">
           <span class="points">${cost}pt</span>
           T${index + 1}
@@ -139,17 +229,11 @@ export class AbilityPanel {
     if (!this.hero) return;
 
     this.hero.abilities.forEach(ability => {
-      const card = this.container.querySelector(`[data-ability-id="${ability.id}"]`);
+      const card = this.container.querySelector(`.ability-card[data-ability-id="${ability.id}"]`);
       if (!card) return;
 
-      const damageEl = card.querySelector('.damage-value');
-      if (damageEl) {
-        const currentLevel = this.upgrades[ability.id] || 0;
-        const damage = calculateAbilityDamage(ability, this.spiritPower, currentLevel);
-        if (damage) {
-          damageEl.textContent = damage.total;
-        }
-      }
+      const statsEl = card.querySelector('.ability-stats');
+      statsEl.innerHTML = this.renderAbilityStats(ability, this.upgrades[ability.id] || 0);
     });
   }
 
@@ -158,15 +242,6 @@ export class AbilityPanel {
   }
 
   getTotalPointsUsed() {
-    const costs = [1, 2, 5];
-    let total = 0;
-
-    Object.values(this.upgrades).forEach(level => {
-      for (let i = 0; i < level; i++) {
-        total += costs[i];
-      }
-    });
-
-    return total;
+    return calculateAbilityPointsUsed(this.upgrades);
   }
 }
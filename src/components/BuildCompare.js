@@ -0,0 +1,226 @@
+// Build Compare Component - Two builds side by side with a stat, item and investment diff
+
+import { calculateBuildStats, formatStat } from '../utils/calculator.js';
+import { loadAllHeroBuilds, loadBuilds, decodeBuildFromString } from '../utils/storage.js';
+import { escapeHtml } from '../utils/html.js';
+
+// neutral rows show both values without picking a winner
+const COMPARE_STATS = [
+  { key: 'expectedDps', name: 'Expected DPS', format: 'number' },
+  { key: 'sustainedDps', name: 'DPS (Sustained)', format: 'number' },
+  { key: 'effectiveBulletDamage', name: 'Bullet Damage', format: 'number' },
+  { key: 'fireRate', name: 'Fire Rate', format: 'perSecond' },
+  { key: 'reloadTime', name: 'Reload', format: 'seconds', lowerIsBetter: true },
+  { key: 'spiritPower', name: 'Spirit Power', format: 'number' },
+  { key: 'spiritDps', name: 'Spirit DPS', format: 'number' },
+  { key: 'cooldownReduction', name: 'Cooldown Reduction', format: 'percent' },
+  { key: 'health', name: 'Health', format: 'number' },
+  { key: 'bulletResist', name: 'Bullet Resist', format: 'percent' },
+  { key: 'spiritResist', name: 'Spirit Resist', format: 'percent' },
+  { key: 'effectiveHealthMixed', name: 'Effective HP (Mixed)', format: 'number' },
+  { key: 'healingShooting', name: 'Healing (Shooting)', format: 'perSecond' },
+  { key: 'moveSpeed', name: 'Move Speed', format: 'mps' },
+  { key: 'totalSouls', name: 'Total Souls', format: 'number', neutral: true }
+];
+
+const TRACK_NAMES = { weapon: 'Weapon', vitality: 'Vitality', spirit: 'Spirit' };
+
+export class BuildCompare {
+  constructor(container, options) {
+    this.container = container;
+    this.getCurrentBuild = options.getCurrentBuild;
+    this.getCalculationOptions = options.getCalculationOptions;
+    this.onError = options.onError;
+    this.heroes = [];
+    this.catalog = [];
+    // Each side is { label, build } or null
+    this.sides = [null, null];
+  }
+
+  setOptions(heroes, catalog) {
+    this.heroes = heroes;
+    this.catalog = catalog;
+  }
+
+  // Start with the current build on the left
+  open() {
+    const current = this.getCurrentBuild();
+    this.sides = [current ? { label: 'Current build', build: current } : null, this.sides[1]];
+    this.render();
+  }
+
+  render() {
+    const resolved = this.sides.map(side => (side ? this.resolveBuild(side.build) : null));
+
+    this.container.innerHTML = `
+      <div class="compare-columns">
+        ${[0, 1].map(index => this.renderPicker(index, resolved[index])).join('')}
+      </div>
+      ${resolved[0] && resolved[1] ? `
+        ${this.renderStatDiff(resolved)}
+        ${this.renderItemDiff(resolved)}
+        ${this.renderTrackDiff(resolved)}
+      ` : '<div class="compare-empty">Pick two builds to compare</div>'}
+    `;
+
+    this.bindEvents();
+  }
+
+  getSavedBuildOptions() {
+    const heroBuilds = Object.values(loadAllHeroBuilds()).map(build => ({
+      value: `hero:${build.heroId}`,
+      label: this.getHeroName(build.heroId)
+    }));
+    const savedBuilds = loadBuilds().map(build => ({
+      value: `saved:${build.id}`,
+      label: `${escapeHtml(build.name || 'Untitled build')} (${this.getHeroName(build.heroId)})`
+    }));
+
+    return { heroBuilds, savedBuilds };
+  }
+
+  renderPicker(index, resolved) {
+    const side = this.sides[index];
+    const { heroBuilds, savedBuilds } = this.getSavedBuildOptions();
+    const option = ({ value, label }) => `<option value="${value}">${label}</option>`;
+
+    return `
+      <div class="compare-column">
+        <select class="compare-select" data-side="${index}">
+          <option value="">${side ? escapeHtml(side.label) : 'Choose a build...'}</option>
+          <option value="current">Current build</option>
+          ${heroBuilds.length > 0 ? `<optgroup label="Hero builds">${heroBuilds.map(option).join('')}</optgroup>` : ''}
+          ${savedBuilds.length > 0 ? `<optgroup label="Saved builds">${savedBuilds.map(option).join('')}</optgroup>` : ''}
+        </select>
+        <div class="compare-url">
+          <input type="text" class="compare-url-input" data-side="${index}" placeholder="Paste a share URL">
+          <button class="compare-url-load" data-side="${index}">Load</button>
+        </div>
+        ${resolved ? `<div class="compare-hero">${resolved.hero.name}</div>` : ''}
+        ${side && !resolved ? '<div class="compare-empty">Unknown hero in this build</div>' : ''}
+      </div>
+    `;
+  }
+
+  // Both sides use the app's fight length and headshot rate so only the builds differ
+  resolveBuild(build) {
+    const hero = this.heroes.find(h => h.id === build.heroId);
+    if (!hero) return null;
+
+    const { fightLength, headshotRate } = this.getCalculationOptions();
+    const { items, stats } = calculateBuildStats(hero, build, this.catalog, { fightLength, headshotRate });
+
+    return { hero, items, stats };
+  }
+
+  renderStatDiff(resolved) {
+    return `
+      <div class="stat-group compare-group">
+        <div class="stat-group-title">Stats</div>
+        ${COMPARE_STATS.map(stat => {
+          const values = resolved.map(side => side.stats[stat.key] || 0);
+          const winner = this.getWinner(values, stat);
+
+          return `
+            <div class="compare-row">
+              <span class="stat-name">${stat.name}</span>
+              ${values.map((value, index) => `
+                <span class="compare-value${winner === index ? ' winner' : ''}">${formatStat(value, stat.format)}</span>
+              `).join('')}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  getWinner(values, stat) {
+    if (stat.neutral || Math.abs(values[0] - values[1]) < 0.0001) return null;
+    const firstBetter = stat.lowerIsBetter ? values[0] < values[1] : values[0] > values[1];
+    return firstBetter ? 0 : 1;
+  }
+
+  renderItemDiff(resolved) {
+    const ids = resolved.map(side => side.items.map(item => item.id));
+    const names = items => items.map(item => `<span class="compare-item ${item.category || ''}">${escapeHtml(item.name || item.id)}</span>`).join('') || '-';
+    const rows = [
+      { name: 'Only left', items: resolved[0].items.filter(item => !ids[1].includes(item.id)) },
+      { name: 'Shared', items: resolved[0].items.filter(item => ids[1].includes(item.id)) },
+      { name: 'Only right', items: resolved[1].items.filter(item => !ids[0].includes(item.id)) }
+    ];
+
+    return `
+      <div class="stat-group compare-group">
+        <div class="stat-group-title">Items</div>
+        ${rows.map(row => `
+          <div class="compare-items-row">
+            <span class="stat-name">${row.name}</span>
+            <span class="compare-items">${names(row.items)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderTrackDiff(resolved) {
+    const categories = Object.keys(resolved[0].stats.investmentBonuses || {});
+
+    return `
+      <div class="stat-group compare-group">
+        <div class="stat-group-title">Investment Tracks</div>
+        ${categories.map(category => {
+          const tracks = resolved.map(side => side.stats.investmentBonuses[category]);
+          const winner = this.getWinner(tracks.map(track => track.tier), {});
+
+          return `
+            <div class="compare-row">
+              <span class="stat-name">${TRACK_NAMES[category] || category}</span>
+              ${tracks.map((track, index) => `
+                <span class="compare-value${winner === index ? ' winner' : ''}">T${track.tier} (${track.spent.toLocaleString()})</span>
+              `).join('')}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll('.compare-select').forEach(select => {
+      select.addEventListener('change', () => {
+        if (!select.value) return;
+        const label = select.options[select.selectedIndex].textContent;
+        this.setSide(parseInt(select.dataset.side), label, this.getBuildForOption(select.value));
+      });
+    });
+
+    this.container.querySelectorAll('.compare-url-load').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const input = this.container.querySelector(`.compare-url-input[data-side="${btn.dataset.side}"]`);
+        this.setSide(parseInt(btn.dataset.side), 'Shared build', decodeBuildFromString(input.value));
+      });
+    });
+  }
+
+  getBuildForOption(value) {
+    if (value === 'current') return this.getCurrentBuild();
+
+    const [source, id] = value.split(':');
+    if (source === 'hero') return loadAllHeroBuilds()[id] || null;
+    return loadBuilds().find(build => build.id === id) || null;
+  }
+
+  setSide(index, label, build) {
+    if (!build || !build.heroId) {
+      if (this.onError) this.onError('Could not read that build');
+      return;
+    }
+
+    this.sides[index] = { label, build };
+    this.render();
+  }
+
+  getHeroName(heroId) {
+    return this.heroes.find(hero => hero.id === heroId)?.name || heroId;
+  }
+}
@@ -0,0 +1,154 @@
+// Build Library Component - Named builds per hero plus each hero's auto-saved draft
+
+import {
+  loadBuilds,
+  renameBuild,
+  duplicateBuild,
+  deleteBuild,
+  loadAllHeroBuilds
+} from '../utils/storage.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class BuildLibrary {
+  constructor(container, options) {
+    this.container = container;
+    this.getCurrentHero = options.getCurrentHero;
+    this.onSave = options.onSave;
+    this.onLoad = options.onLoad;
+    this.heroes = [];
+    this.heroFilter = '';
+  }
+
+  setHeroes(heroes) {
+    this.heroes = heroes;
+  }
+
+  render() {
+    const drafts = Object.values(loadAllHeroBuilds());
+    const builds = loadBuilds();
+    const currentHero = this.getCurrentHero();
+
+    // Only heroes with something saved are worth filtering by
+    const heroIds = new Set([...builds, ...drafts].map(build => build.heroId));
+    const filterHeroes = this.heroes.filter(hero => heroIds.has(hero.id));
+    const matches = build => !this.heroFilter || build.heroId === this.heroFilter;
+
+    const sortedBuilds = builds.filter(matches).sort((a, b) => this.getUpdatedAt(b) - this.getUpdatedAt(a));
+    const sortedDrafts = drafts.filter(matches).sort((a, b) => this.getUpdatedAt(b) - this.getUpdatedAt(a));
+
+    this.container.innerHTML = `
+      <div class="library-toolbar">
+        <input type="text" class="library-input" id="library-save-name" placeholder="${currentHero ? `${currentHero.name} build name` : 'Select a hero to save builds'}" ${currentHero ? '' : 'disabled'}>
+        <button class="library-btn" id="library-save" ${currentHero ? '' : 'disabled'}>Save as new</button>
+        <select class="library-input" id="library-hero-filter">
+          <option value="">All heroes</option>
+          ${filterHeroes.map(hero => `
+            <option value="${hero.id}" ${hero.id === this.heroFilter ? 'selected' : ''}>${hero.name}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="stat-group">
+        <div class="stat-group-title">Saved Builds</div>
+        ${sortedBuilds.map(build => this.renderEntry(build)).join('') || '<div class="library-empty">No saved builds yet</div>'}
+      </div>
+      <div class="stat-group">
+        <div class="stat-group-title">Drafts</div>
+        ${sortedDrafts.map(draft => this.renderDraft(draft)).join('') || '<div class="library-empty">No drafts</div>'}
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  renderEntry(build) {
+    return `
+      <div class="library-entry">
+        <input type="text" class="library-input library-name" data-build-id="${build.id}" value="${escapeHtml(build.name || 'Untitled build')}" title="Rename">
+        <span class="library-meta">${this.renderMeta(build)}</span>
+        <div class="library-actions">
+          <button class="library-btn library-load" data-build-id="${build.id}">Load</button>
+          <button class="library-btn library-duplicate" data-build-id="${build.id}">Duplicate</button>
+          <button class="library-btn danger library-delete" data-build-id="${build.id}">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Drafts are the per-hero auto-saves; loading one continues where the hero was left
+  renderDraft(draft) {
+    return `
+      <div class="library-entry draft">
+        <span class="library-draft-name">${this.getHeroName(draft.heroId)} <span class="library-draft-badge">Draft</span></span>
+        <span class="library-meta">${this.renderMeta(draft)}</span>
+        <div class="library-actions">
+          <button class="library-btn library-load-draft" data-hero-id="${draft.heroId}">Load</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderMeta(build) {
+    const slots = Array.isArray(build.slots) ? build.slots : Object.values(build.slots || {}).flat();
+    const itemCount = slots.filter(Boolean).length;
+
+    return `${this.getHeroName(build.heroId)} &middot; ${itemCount} items &middot; ${new Date(this.getUpdatedAt(build)).toLocaleString()}`;
+  }
+
+  bindEvents() {
+    const nameInput = this.container.querySelector('#library-save-name');
+    this.container.querySelector('#library-save').addEventListener('click', () => {
+      this.onSave(nameInput.value.trim() || null);
+      this.render();
+    });
+
+    this.container.querySelector('#library-hero-filter').addEventListener('change', (e) => {
+      this.heroFilter = e.target.value;
+      this.render();
+    });
+
+    this.container.querySelectorAll('.library-name').forEach(input => {
+      input.addEventListener('change', () => {
+        const name = input.value.trim();
+        if (name) renameBuild(input.dataset.buildId, name);
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.library-load').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const build = loadBuilds().find(b => b.id === btn.dataset.buildId);
+        if (build) this.onLoad(build);
+      });
+    });
+
+    this.container.querySelectorAll('.library-load-draft').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const draft = loadAllHeroBuilds()[btn.dataset.heroId];
+        if (draft) this.onLoad(draft);
+      });
+    });
+
+    this.container.querySelectorAll('.library-duplicate').forEach(btn => {
+      btn.addEventListener('click', () => {
+        duplicateBuild(btn.dataset.buildId);
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.library-delete').forEach(btn => {
+      btn.addEventListener('click', () => {
+        deleteBuild(btn.dataset.buildId);
+        this.render();
+      });
+    });
+  }
+
+  // Entries saved before timestamps existed fall back to the draft timestamp or id
+  getUpdatedAt(build) {
+    return build.updatedAt || build.timestamp || parseInt(build.id) || 0;
+  }
+
+  getHeroName(heroId) {
+    return this.heroes.find(hero => hero.id === heroId)?.name || heroId;
+  }
+}
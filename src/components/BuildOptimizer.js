@@ -0,0 +1,233 @@
+// Build Optimizer Component - Searches item combinations for an objective in a Web Worker
+
+import { OBJECTIVES } from '../utils/optimizer.js';
+import { formatStat } from '../utils/calculator.js';
+import { getProgression, getStatDefinitions, getBaseStatDefaults } from '../utils/gameData.js';
+
+export class BuildOptimizer {
+  constructor(container, options) {
+    this.container = container;
+    this.getContext = options.getContext;
+    this.onLoadBuild = options.onLoadBuild;
+    this.catalog = [];
+    this.worker = null;
+    this.running = false;
+    this.status = '';
+    this.results = [];
+    this.constraints = {
+      budget: 30000,
+      slots: 12,
+      objective: 'dps',
+      weights: { dps: 1, ehp: 1, burst: 1 },
+      minDps: 0,
+      minEhp: 0,
+      required: [],
+      banned: []
+    };
+  }
+
+  setCatalog(catalog) {
+    this.catalog = catalog;
+    this.render();
+  }
+
+  render() {
+    const { constraints } = this;
+    const listed = [...constraints.required, ...constraints.banned];
+    const available = this.catalog.filter(item => !listed.includes(item.id));
+    const itemOptions = available.map(item => `<option value="${item.id}">${item.name}</option>`).join('');
+
+    this.container.innerHTML = `
+      <div class="optimizer-controls stat-controls">
+        <label class="stat-control">Budget
+          <input type="number" class="stat-control-input optimizer-input" data-field="budget" value="${constraints.budget}" min="0" step="500">
+        </label>
+        <label class="stat-control">Slots
+          <input type="number" class="stat-control-input optimizer-input" data-field="slots" value="${constraints.slots}" min="1" max="12">
+        </label>
+        <label class="stat-control">Min DPS
+          <input type="number" class="stat-control-input optimizer-input" data-field="minDps" value="${constraints.minDps}" min="0">
+        </label>
+        <label class="stat-control">Min EHP
+          <input type="number" class="stat-control-input optimizer-input" data-field="minEhp" value="${constraints.minEhp}" min="0" step="100">
+        </label>
+        <label class="stat-control">Objective
+          <select class="optimizer-select" id="optimizer-objective">
+            ${Object.entries(OBJECTIVES).map(([key, objective]) => `
+              <option value="${key}" ${key === constraints.objective ? 'selected' : ''}>${objective.name}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+      ${constraints.objective === 'mix' ? this.renderWeights() : ''}
+      <div class="optimizer-items">
+        <select class="optimizer-select" id="optimizer-require">
+          <option value="">Require item...</option>
+          ${itemOptions}
+        </select>
+        <select class="optimizer-select" id="optimizer-ban">
+          <option value="">Ban item...</option>
+          ${itemOptions}
+        </select>
+      </div>
+      <div class="optimizer-chips">
+        ${constraints.required.map(id => this.renderChip(id, 'required')).join('')}
+        ${constraints.banned.map(id => this.renderChip(id, 'banned')).join('')}
+      </div>
+      <div class="optimizer-run-row">
+        <button class="optimizer-run" id="optimizer-run">${this.running ? 'Restart' : 'Optimize'}</button>
+        <span class="optimizer-status">${this.status}</span>
+      </div>
+      ${this.renderResults()}
+    `;
+
+    this.bindEvents();
+  }
+
+  // Weights are relative to the unequipped hero, so 1/1/1 values each metric's growth equally
+  renderWeights() {
+    const labels = { dps: 'DPS', ehp: 'EHP', burst: 'Burst' };
+
+    return `
+      <div class="optimizer-weights stat-controls">
+        ${Object.entries(labels).map(([key, label]) => `
+          <label class="stat-control">${label} weight
+            <input type="number" class="stat-control-input optimizer-weight" data-weight="${key}" value="${this.constraints.weights[key]}" min="0" step="0.5">
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderChip(itemId, list) {
+    const item = this.catalog.find(i => i.id === itemId);
+
+    return `
+      <span class="optimizer-chip ${list}">
+        ${list === 'banned' ? 'No ' : ''}${item ? item.name : itemId}
+        <button class="optimizer-chip-remove" data-list="${list}" data-item-id="${itemId}" title="Remove">&times;</button>
+      </span>
+    `;
+  }
+
+  renderResults() {
+    if (this.results.length === 0) return '';
+
+    return `
+      <ol class="optimizer-results">
+        ${this.results.map((result, index) => `
+          <li class="optimizer-result${result.feasible ? '' : ' infeasible'}">
+            <div class="optimizer-result-header">
+              <span>DPS ${formatStat(result.metrics.dps)} / EHP ${formatStat(result.metrics.ehp)} / Burst ${formatStat(result.metrics.burst)}</span>
+              <span class="optimizer-result-cost">${result.cost.toLocaleString()}</span>
+              <button class="optimizer-load" data-index="${index}">Load</button>
+            </div>
+            <div class="optimizer-result-items">
+              ${result.items.map(id => this.catalog.find(item => item.id === id)?.name || id).join(', ')}
+            </div>
+            ${result.feasible ? '' : '<div class="optimizer-result-note">Misses a minimum</div>'}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll('.optimizer-input').forEach(input => {
+      input.addEventListener('change', () => {
+        this.constraints[input.dataset.field] = Math.max(0, parseFloat(input.value) || 0);
+      });
+    });
+
+    this.container.querySelectorAll('.optimizer-weight').forEach(input => {
+      input.addEventListener('change', () => {
+        this.constraints.weights[input.dataset.weight] = Math.max(0, parseFloat(input.value) || 0);
+      });
+    });
+
+    this.container.querySelector('#optimizer-objective').addEventListener('change', (e) => {
+      this.constraints.objective = e.target.value;
+      this.render();
+    });
+
+    [['#optimizer-require', 'required'], ['#optimizer-ban', 'banned']].forEach(([selector, list]) => {
+      const select = this.container.querySelector(selector);
+      select.addEventListener('change', () => {
+        if (!select.value) return;
+        this.constraints[list] = [...this.constraints[list], select.value];
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.optimizer-chip-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const list = btn.dataset.list;
+        this.constraints[list] = this.constraints[list].filter(id => id !== btn.dataset.itemId);
+        this.render();
+      });
+    });
+
+    this.container.querySelector('#optimizer-run').addEventListener('click', () => this.run());
+
+    this.container.querySelectorAll('.optimizer-load').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const result = this.results[parseInt(btn.dataset.index)];
+        if (result && this.onLoadBuild) this.onLoadBuild(result.items);
+      });
+    });
+  }
+
+  run() {
+    const context = this.getContext();
+    if (!context) return;
+
+    // A new run replaces any search still in progress
+    if (this.worker) this.worker.terminate();
+    this.worker = new Worker(new URL('../utils/optimizer.worker.js', import.meta.url), { type: 'module' });
+
+    this.worker.addEventListener('message', (e) => {
+      if (e.data.type === 'progress') {
+        this.status = `Searching... ${e.data.depth}/${e.data.maxDepth} items`;
+        this.container.querySelector('.optimizer-status').textContent = this.status;
+        return;
+      }
+
+      this.running = false;
+      this.results = e.data.results;
+      this.status = e.data.error || (this.results.length > 0 ? '' : 'No build fits the budget');
+      this.worker.terminate();
+      this.worker = null;
+      this.render();
+    });
+
+    // Failures the worker can't report itself: a module that fails to load, an uncaught throw
+    this.worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      this.fail(`Search failed: ${e.message || 'optimizer worker crashed'}`);
+    });
+    this.worker.addEventListener('messageerror', () => this.fail('Search failed: could not read the optimizer result'));
+
+    this.worker.postMessage({
+      gameData: {
+        progression: getProgression(),
+        stats: { statDefinitions: getStatDefinitions(), baseStatDefaults: getBaseStatDefaults() }
+      },
+      hero: context.hero,
+      catalog: this.catalog,
+      constraints: { ...this.constraints, slots: Math.min(12, Math.max(1, Math.round(this.constraints.slots))) },
+      context: { abilityUpgrades: context.abilityUpgrades, options: context.options }
+    });
+
+    this.running = true;
+    this.status = 'Searching...';
+    this.render();
+  }
+
+  fail(message) {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.running = false;
+    this.status = message;
+    this.render();
+  }
+}
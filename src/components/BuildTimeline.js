@@ -0,0 +1,155 @@
+// Build Timeline Component - Purchase order with a stat snapshot at every step
+
+import { formatStat } from '../utils/calculator.js';
+
+// Soul checkpoints for the power summary
+const BENCHMARKS = [3000, 10000, 25000];
+
+export class BuildTimeline {
+  constructor(container, options) {
+    this.container = container;
+    this.onOrderChange = options.onOrderChange;
+    this.onUseBuild = options.onUseBuild;
+    this.getUnlockedSlots = options.getUnlockedSlots;
+    this.catalog = [];
+    this.order = [];
+    this.timeline = [];
+  }
+
+  setCatalog(catalog) {
+    this.catalog = catalog;
+  }
+
+  setTimeline(order, timeline) {
+    this.order = order.map(step => ({ ...step }));
+    this.timeline = timeline;
+    this.render();
+  }
+
+  getOrder() {
+    return this.order.map(step => ({ ...step }));
+  }
+
+  render() {
+    const owned = this.timeline.length > 0 ? this.timeline[this.timeline.length - 1].items : [];
+    const ownedIds = owned.map(item => item.id);
+    const buyable = this.catalog.filter(item => !ownedIds.includes(item.id));
+
+    this.container.innerHTML = `
+      <div class="timeline-controls">
+        <select class="timeline-select" id="timeline-buy">
+          <option value="">Buy item...</option>
+          ${buyable.map(item => `<option value="${item.id}">${item.name} (${item.cost.toLocaleString()})</option>`).join('')}
+        </select>
+        <select class="timeline-select" id="timeline-sell" ${owned.length === 0 ? 'disabled' : ''}>
+          <option value="">Sell item...</option>
+          ${owned.map(item => `<option value="${item.id}">${item.name}</option>`).join('')}
+        </select>
+        <button class="timeline-use-build" id="timeline-use-build" title="Replace the order with the equipped items">From build</button>
+      </div>
+      ${this.renderSteps()}
+      ${this.renderBenchmarks()}
+    `;
+
+    this.bindEvents();
+  }
+
+  renderSteps() {
+    if (this.timeline.length === 0) {
+      return '<div class="timeline-empty">Buy items in order to see the build grow</div>';
+    }
+
+    const last = this.timeline.length - 1;
+    const unlocked = this.getUnlockedSlots();
+
+    return `
+      <ol class="timeline-steps">
+        ${this.timeline.map((step, index) => {
+          const overSlots = step.items.length > unlocked;
+
+          return `
+            <li class="timeline-step ${step.action}${step.valid ? '' : ' invalid'}">
+              <div class="timeline-step-header">
+                <span class="timeline-step-action">${step.action === 'sell' ? 'Sell' : 'Buy'}</span>
+                <span class="timeline-step-name ${step.item?.category || ''}">${step.item?.name || 'Unknown item'}</span>
+                <span class="timeline-step-souls"${step.bank > 0 ? ` title="${step.bank.toLocaleString()} souls banked from sales"` : ''}>${step.soulsEarned.toLocaleString()}</span>
+                <span class="timeline-step-actions">
+                  <button class="timeline-move" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''} title="Move earlier">&uarr;</button>
+                  <button class="timeline-move" data-index="${index}" data-offset="1" ${index === last ? 'disabled' : ''} title="Move later">&darr;</button>
+                  <button class="timeline-remove" data-index="${index}" title="Remove">&times;</button>
+                </span>
+              </div>
+              <div class="timeline-step-stats">
+                <span class="${overSlots ? 'over' : ''}">Slots ${step.items.length}/${unlocked}</span>
+                <span>AP ${step.abilityPoints}</span>
+                <span>DPS ${formatStat(step.stats.expectedDps)}</span>
+                <span>EHP ${formatStat(step.stats.effectiveHealthMixed)}</span>
+                <span>Spirit ${formatStat(step.stats.spiritPower)}</span>
+              </div>
+            </li>
+          `;
+        }).join('')}
+      </ol>
+    `;
+  }
+
+  // Power at each checkpoint: the last step the souls could pay for
+  renderBenchmarks() {
+    if (this.timeline.length === 0) return '';
+
+    return `
+      <div class="timeline-benchmarks">
+        ${BENCHMARKS.map(souls => {
+          const reached = this.timeline.filter(step => step.soulsEarned <= souls);
+          const step = reached[reached.length - 1];
+
+          return `
+            <div class="stat-row">
+              <span class="stat-name">At ${souls / 1000}k souls</span>
+              <span class="stat-value">${step
+                ? `${formatStat(step.stats.expectedDps)} DPS / ${formatStat(step.stats.effectiveHealthMixed)} EHP / ${formatStat(step.stats.spiritPower)} Spirit`
+                : '-'}</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    ['buy', 'sell'].forEach(action => {
+      const select = this.container.querySelector(`#timeline-${action}`);
+      select.addEventListener('change', () => {
+        if (!select.value) return;
+        this.order.push({ action, itemId: select.value });
+        this.notifyChange();
+      });
+    });
+
+    this.container.querySelector('#timeline-use-build').addEventListener('click', () => {
+      if (this.onUseBuild) this.onUseBuild();
+    });
+
+    this.container.querySelectorAll('.timeline-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.index);
+        const target = index + parseInt(btn.dataset.offset);
+        [this.order[index], this.order[target]] = [this.order[target], this.order[index]];
+        this.notifyChange();
+      });
+    });
+
+    this.container.querySelectorAll('.timeline-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.order.splice(parseInt(btn.dataset.index), 1);
+        this.notifyChange();
+      });
+    });
+  }
+
+  notifyChange() {
+    if (this.onOrderChange) {
+      this.onOrderChange(this.getOrder());
+    }
+  }
+}
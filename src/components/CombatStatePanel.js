@@ -0,0 +1,86 @@
+// Combat State Component - Toggles and stack sliders for conditional item passives
+
+import { formatStat } from '../utils/calculator.js';
+import { getStatDefinition } from '../utils/gameData.js';
+
+export class CombatStatePanel {
+  constructor(container, onStateChange) {
+    this.container = container;
+    this.onStateChange = onStateChange;
+    this.passives = [];
+    this.state = {};
+  }
+
+  setPassives(passives, state) {
+    this.passives = passives;
+    this.state = state;
+    this.render();
+  }
+
+  render() {
+    if (this.passives.length === 0) {
+      this.container.innerHTML = '<div class="combat-state-empty">No conditional passives equipped</div>';
+      return;
+    }
+
+    this.container.innerHTML = this.passives.map(passive => {
+      const stacks = Math.min(this.state[passive.itemId] || 0, passive.maxStacks);
+      const control = passive.maxStacks > 1
+        ? `<input type="range" class="combat-stack-slider" min="0" max="${passive.maxStacks}" value="${stacks}" data-item-id="${passive.itemId}">
+           <span class="combat-stack-count">${stacks}/${passive.maxStacks}</span>`
+        : `<input type="checkbox" class="combat-toggle" ${stacks > 0 ? 'checked' : ''} data-item-id="${passive.itemId}">`;
+
+      return `
+        <label class="combat-passive${stacks > 0 ? ' active' : ''}">
+          <span class="combat-passive-info">
+            <span class="combat-passive-name">${passive.name}</span>
+            <span class="combat-passive-label">${passive.label}: ${this.formatBonus(passive.bonus)}</span>
+          </span>
+          <span class="combat-passive-control">${control}</span>
+        </label>
+      `;
+    }).join('');
+
+    this.bindEvents();
+  }
+
+  formatBonus(bonus) {
+    return Object.entries(bonus).map(([stat, value]) => {
+      const definition = getStatDefinition(stat);
+      // Percent-of-base stats store their bonus as a fraction
+      const format = definition?.modifier === 'percentBase' ? 'percent' : definition?.format;
+      return `+${formatStat(value, format)} ${definition?.name || stat}`;
+    }).join(', ');
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll('.combat-toggle').forEach(input => {
+      input.addEventListener('change', () => {
+        this.updateState(input, input.checked ? 1 : 0);
+      });
+    });
+
+    this.container.querySelectorAll('.combat-stack-slider').forEach(input => {
+      input.addEventListener('input', () => {
+        const stacks = parseInt(input.value);
+        const countEl = input.nextElementSibling;
+        countEl.textContent = `${stacks}/${input.max}`;
+        this.updateState(input, stacks);
+      });
+    });
+  }
+
+  updateState(input, stacks) {
+    // Update in place so a slider keeps focus while being dragged
+    this.state = { ...this.state, [input.dataset.itemId]: stacks };
+    input.closest('.combat-passive').classList.toggle('active', stacks > 0);
+
+    if (this.onStateChange) {
+      this.onStateChange(this.state);
+    }
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+}
@@ -0,0 +1,132 @@
+// Combo Builder Component - Ordered ability and item active rotation
+
+export class ComboBuilder {
+  constructor(container, onComboChange) {
+    this.container = container;
+    this.onComboChange = onComboChange;
+    this.options = [];
+    this.result = null;
+    this.targetResist = null;
+  }
+
+  // options lists castable abilities and item actives; targetResist is null without a target
+  setRotation(options, result, targetResist = null) {
+    this.options = options;
+    this.result = result;
+    this.targetResist = targetResist;
+    this.render();
+  }
+
+  // Steps come from the resolved rotation, so removed items drop out of the combo
+  getSteps() {
+    return this.result ? this.result.steps.map(step => ({ type: step.type, id: step.id })) : [];
+  }
+
+  render() {
+    const abilities = this.options.filter(option => option.type === 'ability');
+    const actives = this.options.filter(option => option.type === 'item');
+
+    this.container.innerHTML = `
+      <select class="combo-add" id="combo-add">
+        <option value="">Add to combo...</option>
+        <optgroup label="Abilities">
+          ${abilities.map(option => `<option value="ability:${option.id}">${option.name}</option>`).join('')}
+        </optgroup>
+        ${actives.length > 0 ? `
+          <optgroup label="Item Actives">
+            ${actives.map(option => `<option value="item:${option.id}">${option.name}</option>`).join('')}
+          </optgroup>
+        ` : ''}
+      </select>
+      ${this.renderSteps()}
+      ${this.renderResult()}
+    `;
+
+    this.bindEvents();
+  }
+
+  renderSteps() {
+    if (!this.result || this.result.steps.length === 0) {
+      return '<div class="combo-empty">Add abilities and item actives in cast order</div>';
+    }
+
+    const last = this.result.steps.length - 1;
+
+    return `
+      <ol class="combo-steps">
+        ${this.result.steps.map((step, index) => `
+          <li class="combo-step ${step.type}">
+            <span class="combo-step-time">${step.start.toFixed(1)}s</span>
+            <span class="combo-step-name">${step.name}</span>
+            <span class="combo-step-damage">${step.damage > 0 ? Math.round(step.damage) : '-'}</span>
+            <span class="combo-step-actions">
+              <button class="combo-move" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''} title="Move earlier">&uarr;</button>
+              <button class="combo-move" data-index="${index}" data-offset="1" ${index === last ? 'disabled' : ''} title="Move later">&darr;</button>
+              <button class="combo-remove" data-index="${index}" title="Remove">&times;</button>
+            </span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  renderResult() {
+    if (!this.result || this.result.steps.length === 0) return '';
+
+    const rows = [
+      { name: 'Total burst', value: Math.round(this.result.totalDamage) },
+      { name: 'Cast time', value: `${this.result.castTime.toFixed(1)}s` }
+    ];
+
+    if (this.targetResist !== null) {
+      rows.push({
+        name: `Vs target (${Math.round(this.targetResist * 100)}% spirit resist)`,
+        value: Math.round(this.result.targetDamage)
+      });
+    }
+
+    return `
+      <div class="combo-result">
+        ${rows.map(row => `
+          <div class="stat-row">
+            <span class="stat-name">${row.name}</span>
+            <span class="stat-value">${row.value}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    const addSelect = this.container.querySelector('#combo-add');
+    addSelect.addEventListener('change', () => {
+      if (!addSelect.value) return;
+      const [type, id] = addSelect.value.split(':');
+      this.notifyChange([...this.getSteps(), { type, id }]);
+    });
+
+    this.container.querySelectorAll('.combo-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const steps = this.getSteps();
+        const index = parseInt(btn.dataset.index);
+        const target = index + parseInt(btn.dataset.offset);
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+        this.notifyChange(steps);
+      });
+    });
+
+    this.container.querySelectorAll('.combo-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const steps = this.getSteps();
+        steps.splice(parseInt(btn.dataset.index), 1);
+        this.notifyChange(steps);
+      });
+    });
+  }
+
+  notifyChange(steps) {
+    if (this.onComboChange) {
+      this.onComboChange(steps);
+    }
+  }
+}
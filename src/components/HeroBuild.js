@@ -1,21 +1,43 @@
 // Hero Build Component - Manages 12 universal item slots
 
 import { getItemImageUrl, getItemInitials } from '../utils/images.js';
+import { getItemPurchase } from '../utils/calculator.js';
+
+const SLOT_COUNT = 12;
+
+const OBJECTIVE_NAMES = {
+  urn: 'Urn',
+  mid_boss: 'Mid Boss',
+  guardian: 'Guardian',
+  shrine: 'Shrine'
+};
+
+// Used when progression.json failed to load
+const DEFAULT_FLEX_SLOT_UNLOCKS = {
+  slot1: 'urn',
+  slot2: 'mid_boss',
+  slot3: 'guardian',
+  slot4: 'shrine'
+};
 
 export class HeroBuild {
   constructor(options) {
     this.onSlotClick = options.onSlotClick;
     this.onItemRemove = options.onItemRemove;
     this.onStatsChange = options.onStatsChange;
+    this.onObjectivesChange = options.onObjectivesChange;
 
-    // 12 universal slots (9 base + 3 unlockable)
-    this.slots = new Array(12).fill(null);
+    // 12 universal slots; the last ones are flex slots
+    this.slots = new Array(SLOT_COUNT).fill(null);
 
-    // Slot unlock thresholds (souls spent)
-    this.unlockThresholds = [0, 0, 0, 0, 0, 0, 0, 0, 0, 3000, 6000, 9000];
+    // Objective that unlocks each flex slot, in slot order (progression.json flexSlotUnlocks)
+    this.flexSlotObjectives = [];
+    // Objectives completed in this build
+    this.objectives = [];
 
     this.totalSoulsEl = document.getElementById('total-souls');
     this.slotsContainer = document.getElementById('item-slots-grid');
+    this.objectivesEl = document.getElementById('flex-objectives');
 
     this.initializeSlots();
   }
@@ -23,15 +45,12 @@ export class HeroBuild {
   initializeSlots() {
     this.slotsContainer.innerHTML = '';
 
-    for (let i = 0; i < 12; i++) {
+    for (let i = 0; i < SLOT_COUNT; i++) {
       const slot = document.createElement('div');
-      const isLocked = i >= 9;
 
-      slot.className = `item-slot universal${isLocked ? ' locked' : ''}`;
+      slot.className = 'item-slot universal';
       slot.dataset.index = i;
-      slot.innerHTML = isLocked
-        ? `<span class="empty-text locked-text">${this.unlockThresholds[i]}</span>`
-        : '<span class="empty-text">+</span>';
+      slot.innerHTML = '<span class="empty-text">+</span>';
 
       slot.addEventListener('click', (e) => {
         // If clicking remove button, don't open shop
@@ -55,20 +74,89 @@ export class HeroBuild {
     }
   }
 
+  // Flex slot unlocks load with the game data, after the slots are built
+  setFlexSlotUnlocks(flexSlotUnlocks = DEFAULT_FLEX_SLOT_UNLOCKS) {
+    this.flexSlotObjectives = Object.keys(flexSlotUnlocks)
+      .sort((a, b) => parseInt(a.replace(/\D/g, '')) - parseInt(b.replace(/\D/g, '')))
+      .map(key => flexSlotUnlocks[key]);
+
+    this.renderObjectives();
+    this.updateLockedSlots();
+  }
+
+  // Objective unlocking a slot, or null for base slots
+  getSlotObjective(index) {
+    const flexIndex = index - (SLOT_COUNT - this.flexSlotObjectives.length);
+    return flexIndex >= 0 ? this.flexSlotObjectives[flexIndex] : null;
+  }
+
+  getObjectiveSlot(objective) {
+    return SLOT_COUNT - this.flexSlotObjectives.length + this.flexSlotObjectives.indexOf(objective);
+  }
+
+  getObjectiveName(objective) {
+    return OBJECTIVE_NAMES[objective] || objective;
+  }
+
   isSlotLocked(index) {
-    const totalSouls = this.getTotalSouls();
-    return totalSouls < this.unlockThresholds[index];
+    const objective = this.getSlotObjective(index);
+    return objective !== null && !this.objectives.includes(objective);
+  }
+
+  renderObjectives() {
+    if (!this.objectivesEl) return;
+
+    this.objectivesEl.innerHTML = this.flexSlotObjectives.map(objective => `
+      <label class="objective-toggle${this.objectives.includes(objective) ? ' active' : ''}">
+        <input type="checkbox" data-objective="${objective}" ${this.objectives.includes(objective) ? 'checked' : ''}>
+        ${this.getObjectiveName(objective)}
+      </label>
+    `).join('');
+
+    this.objectivesEl.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => {
+        const objective = input.dataset.objective;
+
+        // Losing the objective would lock a slot that still holds an item
+        const slotItem = this.slots[this.getObjectiveSlot(objective)];
+        if (!input.checked && slotItem) {
+          input.checked = true;
+          this.showMessage(`Remove ${slotItem.name} before unchecking the ${this.getObjectiveName(objective)}`);
+          return;
+        }
+
+        const objectives = input.checked
+          ? [...this.objectives, objective]
+          : this.objectives.filter(o => o !== objective);
+        this.setObjectives(objectives);
+
+        if (this.onObjectivesChange) {
+          this.onObjectivesChange(this.getObjectives());
+        }
+      });
+    });
+  }
+
+  setObjectives(objectives) {
+    this.objectives = [...objectives];
+    this.renderObjectives();
+    this.updateLockedSlots();
+  }
+
+  getObjectives() {
+    return [...this.objectives];
   }
 
   showLockedMessage(index) {
-    const threshold = this.unlockThresholds[index];
-    const current = this.getTotalSouls();
-    const needed = threshold - current;
+    const objective = this.getObjectiveName(this.getSlotObjective(index));
+    this.showMessage(`Take the ${objective} to unlock this slot`);
+  }
 
+  showMessage(text) {
     // Simple toast notification
     const toast = document.createElement('div');
     toast.className = 'toast';
-    toast.textContent = `Need ${needed.toLocaleString()} more souls to unlock this slot`;
+    toast.textContent = text;
     document.body.appendChild(toast);
 
     setTimeout(() => toast.remove(), 2000);
@@ -82,16 +170,29 @@ export class HeroBuild {
       return { success: false, reason: 'duplicate' };
     }
 
+    // A component can't be bought back once it has been upgraded
+    const upgrade = this.slots.find(slot => slot && (slot.components || []).includes(item.id));
+    if (upgrade) {
+      return { success: false, reason: 'upgraded', upgrade };
+    }
+
+    // Upgrading consumes owned components, freeing their slots
+    const { consumed } = getItemPurchase(item, this.slots);
+    consumed.forEach(component => {
+      const componentIndex = this.slots.indexOf(component);
+      this.slots[componentIndex] = null;
+      this.updateSlotDisplay(componentIndex);
+    });
+
     this.slots[index] = item;
     this.updateSlotDisplay(index);
     this.updateTotalSouls();
-    this.updateLockedSlots();
 
     if (this.onStatsChange) {
       this.onStatsChange(this.getAllItems());
     }
 
-    return { success: true };
+    return { success: true, consumed };
   }
 
   hasItem(itemId) {
@@ -108,7 +209,6 @@ export class HeroBuild {
     this.slots[index] = null;
     this.updateSlotDisplay(index);
     this.updateTotalSouls();
-    this.updateLockedSlots();
 
     if (this.onStatsChange) {
       this.onStatsChange(this.getAllItems());
@@ -155,7 +255,7 @@ export class HeroBuild {
     } else if (isLocked) {
       slot.classList.remove('filled', 'weapon', 'vitality', 'spirit');
       slot.classList.add('locked');
-      slot.innerHTML = `<span class="empty-text locked-text">${this.unlockThresholds[index].toLocaleString()}</span>`;
+      slot.innerHTML = `<span class="empty-text locked-text">${this.getObjectiveName(this.getSlotObjective(index))}</span>`;
     } else {
       slot.classList.remove('filled', 'locked', 'weapon', 'vitality', 'spirit');
       slot.innerHTML = '<span class="empty-text">+</span>';
@@ -163,8 +263,8 @@ export class HeroBuild {
   }
 
   updateLockedSlots() {
-    // Re-check locked status for slots 9-11
-    for (let i = 9; i < 12; i++) {
+    // Re-check locked status for the flex slots
+    for (let i = SLOT_COUNT - this.flexSlotObjectives.length; i < SLOT_COUNT; i++) {
       if (!this.slots[i]) {
         this.updateSlotDisplay(i);
       }
@@ -180,6 +280,7 @@ export class HeroBuild {
     return [...this.slots];
   }
 
+  // Upgrade prices include their consumed components, so sticker prices sum to souls spent
   getTotalSouls() {
     return this.slots
       .filter(item => item !== null)
@@ -199,14 +300,7 @@ export class HeroBuild {
   }
 
   getUnlockedSlotCount() {
-    const totalSouls = this.getTotalSouls();
-    let unlocked = 9; // Base slots
-
-    if (totalSouls >= 9000) unlocked = 12;
-    else if (totalSouls >= 6000) unlocked = 11;
-    else if (totalSouls >= 3000) unlocked = 10;
-
-    return unlocked;
+    return this.slots.filter((slot, index) => !this.isSlotLocked(index)).length;
   }
 
   loadBuild(buildData) {
@@ -215,7 +309,7 @@ export class HeroBuild {
     // Handle both old format (category-based) and new format (array)
     if (Array.isArray(buildData.slots)) {
       buildData.slots.forEach((item, index) => {
-        if (index < 12) {
+        if (index < SLOT_COUNT) {
           this.slots[index] = item;
           this.updateSlotDisplay(index);
         }
@@ -226,7 +320,7 @@ export class HeroBuild {
       ['weapon', 'vitality', 'spirit', 'flex'].forEach(category => {
         if (buildData.slots[category]) {
           buildData.slots[category].forEach(item => {
-            if (slotIndex < 12 && item) {
+            if (slotIndex < SLOT_COUNT && item) {
               this.slots[slotIndex] = item;
               this.updateSlotDisplay(slotIndex);
             }
@@ -236,23 +330,29 @@ export class HeroBuild {
       });
     }
 
+    // Builds saved before objectives unlock the flex slots they already fill
+    const objectives = buildData.objectives || this.slots
+      .map((item, index) => (item ? this.getSlotObjective(index) : null))
+      .filter(objective => objective !== null);
+
     this.updateTotalSouls();
-    this.updateLockedSlots();
+    this.setObjectives(objectives);
   }
 
   getBuildData() {
     return {
-      slots: [...this.slots]
+      slots: [...this.slots],
+      objectives: this.getObjectives()
     };
   }
 
   reset() {
-    for (let i = 0; i < 12; i++) {
+    for (let i = 0; i < SLOT_COUNT; i++) {
       this.slots[i] = null;
       this.updateSlotDisplay(i);
     }
     this.updateTotalSouls();
-    this.updateLockedSlots();
+    this.setObjectives([]);
 
     if (this.onStatsChange) {
       this.onStatsChange(this.getAllItems());
@@ -1,6 +1,15 @@
 // Item Shop Component
 
 import { getItemImageUrl, getItemInitials } from '../utils/images.js';
+import { getItemPurchase, getItemUpgrades, formatStat } from '../utils/calculator.js';
+import { getStatDefinition, getStatDefinitions } from '../utils/gameData.js';
+
+// Sort modes that rank items by their effect on the current build
+const BUILD_SORT_MODES = {
+  stat: null,
+  dps: 'DPS',
+  ehp: 'EHP'
+};
 
 export class ItemShop {
   constructor(container, onItemSelect) {
@@ -11,7 +20,11 @@ export class ItemShop {
     this.filteredItems = [];
     this.selectedCategory = 'all';
     this.selectedTier = 'all';
+    this.sortMode = 'tier';
+    this.sortStat = 'weaponDamage';
+    this.sortPerSouls = false;
     this.targetSlot = null;
+    this.itemPreviewer = null;
 
     this.shopItems = document.getElementById('shop-items');
     this.closeBtn = document.getElementById('close-shop');
@@ -46,6 +59,11 @@ export class ItemShop {
     }
   }
 
+  // previewer(item, slotInfo) returns calculateItemPreview's result for the current build
+  setItemPreviewer(itemPreviewer) {
+    this.itemPreviewer = itemPreviewer;
+  }
+
   bindEvents() {
     // Close button
     this.closeBtn.addEventListener('click', () => this.hide());
@@ -70,6 +88,25 @@ export class ItemShop {
       });
     });
 
+    // Sort controls
+    this.sortSelect = document.getElementById('shop-sort');
+    this.sortStatSelect = document.getElementById('shop-sort-stat');
+    this.sortPerSoulsInput = document.getElementById('shop-sort-per-souls');
+
+    this.sortSelect.addEventListener('change', () => {
+      this.sortMode = this.sortSelect.value;
+      this.sortStatSelect.classList.toggle('hidden', this.sortMode !== 'stat');
+      this.render();
+    });
+    this.sortStatSelect.addEventListener('change', () => {
+      this.sortStat = this.sortStatSelect.value;
+      this.render();
+    });
+    this.sortPerSoulsInput.addEventListener('change', () => {
+      this.sortPerSouls = this.sortPerSoulsInput.checked;
+      this.render();
+    });
+
     // Click outside to close
     document.addEventListener('click', (e) => {
       if (this.container.classList.contains('hidden')) return;
@@ -89,19 +126,83 @@ export class ItemShop {
     this.render();
   }
 
-  render() {
-    // Sort by tier, then by cost
-    const sorted = [...this.filteredItems].sort((a, b) => {
-      if (a.tier !== b.tier) return a.tier - b.tier;
-      return a.cost - b.cost;
-    });
+  // Stats offered by the stat sort mode; target debuffs never change our own stats
+  renderSortStatOptions() {
+    const definitions = Object.entries(getStatDefinitions())
+      .filter(([, definition]) => definition.group !== 'target');
+
+    this.sortStatSelect.innerHTML = definitions
+      .map(([stat, definition]) => `<option value="${stat}" ${stat === this.sortStat ? 'selected' : ''}>${definition.name}</option>`)
+      .join('');
+  }
+
+  /**
+   * Order items by the selected sort mode
+   * @returns {Array<{ item, value }>} - value is the build-dependent score, or null
+   *   for tier/cost sorts and for equipped items, which sort last
+   */
+  sortItems(items, equippedItems) {
+    if (this.sortMode === 'tier' || this.sortMode === 'cost') {
+      return [...items]
+        .sort((a, b) => {
+          if (this.sortMode === 'tier' && a.tier !== b.tier) return a.tier - b.tier;
+          return getItemPurchase(a, equippedItems).cost - getItemPurchase(b, equippedItems).cost;
+        })
+        .map(item => ({ item, value: null }));
+    }
+
+    return items
+      .map(item => ({ item, value: this.getSortValue(item, equippedItems) }))
+      .sort((a, b) => {
+        if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+        return b.value - a.value || a.item.cost - b.item.cost;
+      });
+  }
+
+  getSortValue(item, equippedItems) {
+    if (!this.itemPreviewer || equippedItems.some(equipped => equipped.id === item.id)) return null;
+
+    const preview = this.itemPreviewer(item, this.targetSlot);
+    if (!preview) return null;
+
+    let value;
+    if (this.sortMode === 'stat') {
+      const delta = preview.deltas.find(d => d.stat === this.sortStat);
+      value = delta ? delta.after - delta.before : 0;
+    } else {
+      value = preview[this.sortMode];
+    }
+
+    // Value per 1000 souls actually spent, after component discounts
+    const cost = getItemPurchase(item, equippedItems).cost;
+    return this.sortPerSouls && cost > 0 ? value / cost * 1000 : value;
+  }
+
+  renderSortValue(value) {
+    if (value === null) return '';
 
+    const definition = this.sortMode === 'stat' ? getStatDefinition(this.sortStat) : null;
+    const label = BUILD_SORT_MODES[this.sortMode] || definition?.name || this.sortStat;
+    const format = this.sortMode === 'stat' ? definition?.format : undefined;
+    // Per-soul rates are small, so keep a decimal
+    let formatted = formatStat(value, format);
+    if (this.sortPerSouls) {
+      formatted = format === 'percent' ? `${(value * 100).toFixed(1)}%` : value.toFixed(1);
+    }
+
+    return `<div class="item-sort-value">${value >= 0 ? '+' : ''}${formatted} ${label}${this.sortPerSouls ? ' / 1k souls' : ''}</div>`;
+  }
+
+  render() {
     const equippedIds = this.equippedItemIds || [];
+    const equippedItems = this.allItems.filter(item => equippedIds.includes(item.id));
+    const sorted = this.sortItems(this.filteredItems, equippedItems);
 
-    this.shopItems.innerHTML = sorted.map(item => {
+    this.shopItems.innerHTML = sorted.map(({ item, value }) => {
       const isEquipped = equippedIds.includes(item.id);
+      const purchase = getItemPurchase(item, equippedItems);
       return `
-        <div class="shop-item ${item.category}${isEquipped ? ' equipped' : ''}" data-item-id="${item.id}">
+        <div class="shop-item ${item.category}${isEquipped ? ' equipped' : ''}" data-item-id="${item.id}" tabindex="0">
           <div class="item-icon-container">
             <img
               src="${getItemImageUrl(item.name)}"
@@ -117,11 +218,18 @@ export class ItemShop {
               <span class="item-name">${item.name}</span>
               <span class="item-tier">T${item.tier}</span>
             </div>
-            <div class="item-cost">${item.cost.toLocaleString()} souls</div>
+            <div class="item-cost">
+              ${purchase.cost.toLocaleString()} souls
+              ${purchase.consumed.length > 0 ? `<span class="item-cost-full">${item.cost.toLocaleString()}</span>` : ''}
+            </div>
             ${isEquipped ? '<div class="equipped-badge">Equipped</div>' : ''}
+            ${this.renderSortValue(value)}
             <div class="item-stats">
               ${this.renderItemStats(item)}
             </div>
+            ${this.renderAccuracyValue(item)}
+            ${this.renderUpgradeTree(item, equippedIds)}
+            <div class="item-preview"></div>
           </div>
         </div>
       `;
@@ -137,9 +245,50 @@ export class ItemShop {
           this.hide();
         }
       });
+
+      // Preview the build with this item while it is hovered or focused
+      const previewEl = itemEl.querySelector('.item-preview');
+      const showPreview = () => {
+        const item = this.allItems.find(i => i.id === itemEl.dataset.itemId);
+        previewEl.innerHTML = this.renderPreview(item);
+      };
+      const hidePreview = () => {
+        previewEl.innerHTML = '';
+      };
+      itemEl.addEventListener('mouseenter', showPreview);
+      itemEl.addEventListener('focus', showPreview);
+      itemEl.addEventListener('mouseleave', hidePreview);
+      itemEl.addEventListener('blur', hidePreview);
     });
   }
 
+  renderPreview(item) {
+    if (!this.itemPreviewer || (this.equippedItemIds || []).includes(item.id)) return '';
+
+    const preview = this.itemPreviewer(item, this.targetSlot);
+    if (!preview) return '';
+
+    const trackNames = { weapon: 'Weapon', vitality: 'Vitality', spirit: 'Spirit' };
+    const signed = (value, format) => `${value >= 0 ? '+' : ''}${formatStat(value, format)}`;
+
+    return `
+      <div class="item-preview-summary">
+        <span class="${preview.dps >= 0 ? 'increased' : 'decreased'}">${signed(preview.dps)} DPS</span>
+        <span class="${preview.ehp >= 0 ? 'increased' : 'decreased'}">${signed(preview.ehp)} EHP</span>
+      </div>
+      <div class="item-preview-deltas">
+        ${preview.deltas.map(delta => {
+          const definition = getStatDefinition(delta.stat);
+          const change = delta.after - delta.before;
+          return `<span class="${change >= 0 ? 'increased' : 'decreased'}">${signed(change, definition?.format)} ${definition?.name || delta.stat}</span>`;
+        }).join('')}
+      </div>
+      ${preview.trackChanges.map(track => `
+        <div class="item-preview-track">${trackNames[track.category] || track.category} track T${track.from} &rarr; T${track.to}</div>
+      `).join('')}
+    `;
+  }
+
   renderItemStats(item) {
     const stats = [];
 
@@ -150,6 +299,13 @@ export class ItemShop {
       });
     }
 
+    // Debuffs land on the enemy, so show them apart from our own stats
+    if (item.targetStats) {
+      Object.entries(item.targetStats).forEach(([stat, value]) => {
+        stats.push(`<span class="debuff">${this.formatStatValue(stat, -value)}</span>`);
+      });
+    }
+
     if (item.passive) {
       stats.push(`<span class="passive">${item.passive.description}</span>`);
     }
@@ -161,6 +317,55 @@ export class ItemShop {
     return stats.join('');
   }
 
+  // Components this item builds from (down to tier 1) and the items it upgrades into
+  renderUpgradeTree(item, equippedIds) {
+    const components = this.getComponents(item);
+    const upgrades = getItemUpgrades(item, this.allItems);
+    if (components.length === 0 && upgrades.length === 0) return '';
+
+    return `
+      <div class="item-tree">
+        ${components.length > 0 ? `
+          <div class="item-tree-row">
+            <span class="item-tree-label">Builds from</span>
+            ${components.map(component => this.renderTreeNode(component, equippedIds)).join('')}
+          </div>
+        ` : ''}
+        ${upgrades.length > 0 ? `
+          <div class="item-tree-row">
+            <span class="item-tree-label">Upgrades into</span>
+            ${upgrades.map(upgrade => `<span class="item-tree-node ${upgrade.category}">${upgrade.name}</span>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderTreeNode(item, equippedIds) {
+    const components = this.getComponents(item);
+    const owned = equippedIds.includes(item.id);
+
+    return `
+      <span class="item-tree-node ${item.category}${owned ? ' owned' : ''}">${item.name}</span>
+      ${components.length > 0 ? `&larr; ${components.map(component => this.renderTreeNode(component, equippedIds)).join('')}` : ''}
+    `;
+  }
+
+  getComponents(item) {
+    return (item.components || [])
+      .map(id => this.allItems.find(candidate => candidate.id === id))
+      .filter(Boolean);
+  }
+
+  // Headshot and crit items depend on the hero's accuracy profile, so show
+  // their expected DPS value for the current build
+  renderAccuracyValue(item) {
+    if (!this.itemPreviewer || !(item.passive?.headshotBonus || item.passive?.critChance)) return '';
+
+    const gain = this.itemPreviewer(item, this.targetSlot)?.dps || 0;
+    return `<div class="item-value">${gain >= 0 ? '+' : ''}${gain.toFixed(1)} expected DPS</div>`;
+  }
+
   formatStatValue(stat, value) {
     const statNames = {
       health: 'Health',
@@ -182,12 +387,15 @@ export class ItemShop {
       sprintSpeed: 'Sprint Speed',
       stamina: 'Stamina',
       bulletVelocity: 'Bullet Velocity',
-      abilityCharges: 'Ability Charges'
+      abilityCharges: 'Ability Charges',
+      bulletResistReduction: 'Enemy Bullet Resist',
+      spiritResistReduction: 'Enemy Spirit Resist',
+      healingReduction: 'Enemy Healing'
     };
 
-    const percentStats = ['weaponDamage', 'fireRate', 'bulletLifesteal', 'spiritLifesteal',
+    const percentStats = ['weaponDamage', 'fireRate', 'clipSize', 'bulletLifesteal', 'spiritLifesteal',
       'cooldownReduction', 'abilityRange', 'abilityDuration', 'bulletResist', 'spiritResist',
-      'bulletVelocity'];
+      'bulletVelocity', 'bulletResistReduction', 'spiritResistReduction', 'healingReduction'];
 
     const name = statNames[stat] || stat;
     const sign = value > 0 ? '+' : '';
@@ -209,6 +417,7 @@ export class ItemShop {
       tab.classList.toggle('active', tab.dataset.category === 'all');
     });
 
+    this.renderSortStatOptions();
     this.filterItems();
     this.container.classList.remove('hidden');
 
@@ -1,17 +1,39 @@
 // Stats Panel Component
 
 import { formatStat } from '../utils/calculator.js';
+import { getStatDefinition } from '../utils/gameData.js';
+
+// Calculated stats with no hero base value to compare against
+const DERIVED_STATS = [
+  'effectiveBulletDamage', 'dps', 'burstDps', 'sustainedDps', 'magazine',
+  'timeToEmpty', 'damagePerMagazine', 'expectedDps', 'expectedSustainedDps', 'effectiveHealth',
+  'effectiveHealthSpirit', 'effectiveHealthMixed', 'spiritDps', 'healingShooting', 'healingCasting',
+  'healingOutOfCombat', 'effectiveHealthOverTime'
+];
 
 export class StatPanel {
   constructor(container) {
     this.container = container;
     this.stats = null;
     this.baseStats = null;
+    this.baselineStats = null;
+    this.simulation = null;
+    this.openStat = null;
+
+    // Close the breakdown popover on any click outside it
+    document.addEventListener('click', (e) => {
+      if (this.openStat && !this.container.contains(e.target)) {
+        this.openStat = null;
+        this.render();
+      }
+    });
   }
 
-  setStats(stats, baseStats) {
+  setStats(stats, baseStats, baselineStats = null, simulation = null) {
     this.stats = stats;
     this.baseStats = baseStats;
+    this.baselineStats = baselineStats;
+    this.simulation = simulation;
     this.render();
   }
 
@@ -26,9 +48,15 @@ export class StatPanel {
         title: 'Combat',
         stats: [
           { key: 'effectiveBulletDamage', name: 'Bullet Damage', format: 'number' },
-          { key: 'dps', name: 'DPS', format: 'number' },
+          { key: 'burstDps', name: 'DPS (Burst)', format: 'number' },
+          { key: 'sustainedDps', name: 'DPS (Sustained)', format: 'number' },
+          { key: 'expectedDps', name: 'Expected DPS', format: 'number' },
+          { key: 'expectedSustainedDps', name: 'Expected DPS (Sustained)', format: 'number' },
+          { key: 'headshotMultiplier', name: 'Headshot Multiplier', format: 'multiplier' },
           { key: 'fireRate', name: 'Fire Rate', format: 'perSecond' },
-          { key: 'clipSize', name: 'Ammo', format: 'number' },
+          { key: 'magazine', name: 'Ammo', format: 'number' },
+          { key: 'timeToEmpty', name: 'Time to Empty', format: 'seconds' },
+          { key: 'damagePerMagazine', name: 'Damage / Magazine', format: 'number' },
           { key: 'reloadTime', name: 'Reload', format: 'seconds' }
         ]
       },
@@ -37,15 +65,29 @@ export class StatPanel {
         stats: [
           { key: 'health', name: 'Health', format: 'number' },
           { key: 'healthRegen', name: 'HP Regen', format: 'perSecond' },
-          { key: 'bulletResist', name: 'Bullet Resist', format: 'percent' },
-          { key: 'spiritResist', name: 'Spirit Resist', format: 'percent' },
-          { key: 'effectiveHealth', name: 'Effective HP (Bullet)', format: 'number' }
+          { key: 'bulletResist', name: 'Bullet Resist', format: 'percent', sources: true },
+          { key: 'spiritResist', name: 'Spirit Resist', format: 'percent', sources: true },
+          { key: 'effectiveHealth', name: 'Effective HP (Bullet)', format: 'number' },
+          { key: 'effectiveHealthSpirit', name: 'Effective HP (Spirit)', format: 'number' },
+          { key: 'effectiveHealthMixed', name: 'Effective HP (Mixed)', format: 'number' }
+        ]
+      },
+      {
+        title: 'Sustain',
+        stats: [
+          { key: 'bulletLifesteal', name: 'Bullet Lifesteal', format: 'percent' },
+          { key: 'healingShooting', name: 'Healing (Shooting)', format: 'perSecond' },
+          { key: 'healingCasting', name: 'Healing (Casting)', format: 'perSecond' },
+          { key: 'healingOutOfCombat', name: 'Healing (Out of Combat)', format: 'perSecond' },
+          { key: 'effectiveHealthOverTime', name: `Effective HP over ${this.stats.sustainFightLength}s`, format: 'number' }
         ]
       },
       {
         title: 'Spirit',
         stats: [
           { key: 'spiritPower', name: 'Spirit Power', format: 'number' },
+          { key: 'spiritDps', name: 'Spirit DPS', format: 'number' },
+          { key: 'spiritAmp', name: 'Spirit Amp', format: 'percent' },
           { key: 'cooldownReduction', name: 'Cooldown Reduction', format: 'percent' },
           { key: 'spiritLifesteal', name: 'Spirit Lifesteal', format: 'percent' },
           { key: 'abilityRange', name: 'Ability Range', format: 'percent' }
@@ -58,12 +100,6 @@ export class StatPanel {
           { key: 'sprintSpeed', name: 'Sprint', format: 'mps' },
           { key: 'stamina', name: 'Stamina', format: 'number' }
         ]
-      },
-      {
-        title: 'Lifesteal',
-        stats: [
-          { key: 'bulletLifesteal', name: 'Bullet Lifesteal', format: 'percent' }
-        ]
       }
     ];
 
@@ -75,6 +111,10 @@ export class StatPanel {
         </div>
       `).join('')}
 
+      ${this.renderTargetDebuffs()}
+
+      ${this.renderSimulation()}
+
       <div class="stat-group">
         <div class="stat-group-title">Investment Bonuses</div>
         ${this.renderInvestmentBonuses()}
@@ -86,8 +126,21 @@ export class StatPanel {
           <span class="stat-name">Total Souls</span>
           <span class="stat-value">${this.stats.totalSouls || 0}</span>
         </div>
+        ${this.renderLevel()}
       </div>
     `;
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll('.stat-row.has-breakdown').forEach(row => {
+      row.addEventListener('click', (e) => {
+        if (e.target.closest('.stat-breakdown')) return;
+        this.openStat = this.openStat === row.dataset.stat ? null : row.dataset.stat;
+        this.render();
+      });
+    });
   }
 
   renderStatRow(stat) {
@@ -98,8 +151,8 @@ export class StatPanel {
     let valueClass = 'stat-value';
     let bonusText = '';
 
-    // Compare to base for certain stats
-    if (this.baseStats && stat.key !== 'effectiveBulletDamage' && stat.key !== 'dps' && stat.key !== 'effectiveHealth') {
+    // Compare to base for stats that are not derived
+    if (this.baseStats && !DERIVED_STATS.includes(stat.key)) {
       if (value > baseValue) {
         valueClass += ' increased';
         const diff = value - baseValue;
@@ -113,48 +166,168 @@ export class StatPanel {
       }
     }
 
+    // Show the out-of-combat value when the combat state changes this stat
+    const baselineValue = this.baselineStats ? (this.baselineStats[stat.key] || 0) : value;
+    const baselineText = Math.abs(baselineValue - value) > 0.0001
+      ? `<span class="stat-baseline" title="Out of combat">${formatStat(baselineValue, stat.format)}</span>`
+      : '';
+
+    const hasBreakdown = Boolean(this.stats.breakdown?.[stat.key]);
+
     return `
-      <div class="stat-row">
+      <div class="stat-row${hasBreakdown ? ' has-breakdown' : ''}" data-stat="${stat.key}">
         <span class="stat-name">${stat.name}</span>
-        <span class="${valueClass}">${formatted} ${bonusText ? `<span class="stat-bonus">${bonusText}</span>` : ''}</span>
+        <span class="${valueClass}">${baselineText}${formatted} ${bonusText ? `<span class="stat-bonus">${bonusText}</span>` : ''}</span>
+        ${this.openStat === stat.key ? this.renderBreakdown(stat) : ''}
       </div>
+      ${stat.sources ? this.renderSources(stat) : ''}
     `;
   }
 
-  renderInvestmentBonuses() {
-    if (!this.stats.investmentBonuses) {
-      return '<div class="stat-row"><span class="stat-name">No bonuses yet</span></div>';
-    }
+  // Per-source contributions for stats that stack multiplicatively (resists)
+  renderSources(stat) {
+    const sources = this.stats.breakdown?.[stat.key]?.sources || [];
+    if (sources.length < 2 && !sources.some(source => source.value < 0)) return '';
 
-    const bonuses = [];
+    return sources.map(source => `
+      <div class="stat-row stat-source">
+        <span class="stat-name">${source.source}</span>
+        <span class="stat-value${source.value < 0 ? ' decreased' : ''}">${source.value > 0 ? '+' : ''}${formatStat(source.value, stat.format)}</span>
+      </div>
+    `).join('');
+  }
 
-    if (this.stats.investmentBonuses.weapon?.weaponDamage) {
-      bonuses.push(`
-        <div class="stat-row">
-          <span class="stat-name">Weapon Track</span>
-          <span class="stat-value increased">+${Math.round(this.stats.investmentBonuses.weapon.weaponDamage * 100)}% Damage</span>
-        </div>
-      `);
-    }
+  // Every contribution to one stat and the formula combining them
+  renderBreakdown(stat) {
+    const entry = this.stats.breakdown[stat.key];
+    // Percent-of-base and multiplicative sources are fractions of the base value
+    const modifier = getStatDefinition(stat.key)?.modifier;
+    const sourceFormat = modifier === 'percentBase' || modifier === 'multiplicative' ? 'percent' : stat.format;
 
-    if (this.stats.investmentBonuses.vitality?.health) {
-      bonuses.push(`
-        <div class="stat-row">
-          <span class="stat-name">Vitality Track</span>
-          <span class="stat-value increased">+${this.stats.investmentBonuses.vitality.health} Health</span>
+    return `
+      <div class="stat-breakdown">
+        <div class="stat-breakdown-title">${stat.name}</div>
+        ${entry.sources.map(source => `
+          <div class="stat-breakdown-row ${source.kind}">
+            <span class="stat-name">${source.source}</span>
+            <span class="stat-value">${source.kind === 'base'
+              ? formatStat(source.value, stat.format)
+              : `${source.value > 0 ? '+' : ''}${formatStat(source.value, sourceFormat)}`}</span>
+          </div>
+        `).join('')}
+        <div class="stat-breakdown-formula">${entry.formula}${entry.capped ? ' (capped)' : ''}</div>
+        <div class="stat-breakdown-row total">
+          <span class="stat-name">Total</span>
+          <span class="stat-value">${formatStat(entry.value, stat.format)}</span>
         </div>
-      `);
-    }
+      </div>
+    `;
+  }
 
-    if (this.stats.investmentBonuses.spirit?.spiritPower) {
-      bonuses.push(`
-        <div class="stat-row">
-          <span class="stat-name">Spirit Track</span>
-          <span class="stat-value increased">+${this.stats.investmentBonuses.spirit.spiritPower} Spirit</span>
+  // Debuffs our items apply to enemies; these never change our own stats
+  renderTargetDebuffs() {
+    const debuffs = this.stats.targetDebuffs;
+    if (!debuffs || debuffs.sources.length === 0) return '';
+
+    const totals = ['bulletResistReduction', 'spiritResistReduction', 'healingReduction']
+      .filter(stat => debuffs[stat] > 0);
+
+    return `
+      <div class="stat-group">
+        <div class="stat-group-title">Applied to Target</div>
+        ${totals.map(stat => `
+          <div class="stat-row">
+            <span class="stat-name">${getStatDefinition(stat).name}</span>
+            <span class="stat-value decreased">-${formatStat(debuffs[stat], 'percent')}</span>
+          </div>
+        `).join('')}
+        ${debuffs.sources.map(source => `
+          <div class="stat-row stat-source">
+            <span class="stat-name">${source.source}</span>
+            <span class="stat-value">-${formatStat(source.value, 'percent')} ${getStatDefinition(source.stat).name}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderSimulation() {
+    if (!this.simulation || this.simulation.actives.length === 0) return '';
+
+    const { fightLength, average, peak, actives } = this.simulation;
+    const rows = [
+      { key: 'dps', name: 'DPS' },
+      { key: 'effectiveHealth', name: 'Effective HP (Bullet)' },
+      { key: 'effectiveHealthSpirit', name: 'Effective HP (Spirit)' }
+    ];
+
+    return `
+      <div class="stat-group">
+        <div class="stat-group-title">Active Items (${fightLength}s fight)</div>
+        ${rows.map(row => `
+          <div class="stat-row">
+            <span class="stat-name">${row.name} avg / peak</span>
+            <span class="stat-value">${formatStat(average[row.key])} / ${formatStat(peak[row.key])}</span>
+          </div>
+        `).join('')}
+        ${actives.map(active => `
+          <div class="stat-row">
+            <span class="stat-name">${active.name}</span>
+            <span class="stat-value">${Math.round(active.uptime * 100)}% uptime (${active.casts}x)</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Heroes without level scaling data have no boons to show
+  renderLevel() {
+    const level = this.stats.level;
+    if (!level || level.maxBoons === 0) return '';
+
+    return `
+      <div class="stat-row">
+        <span class="stat-name">Boons <span class="track-tier">${level.boons}/${level.maxBoons}</span></span>
+        <span class="stat-value${level.boons > 0 ? ' increased' : ''}">${this.formatBonus(level.bonus) || 'No boons yet'}</span>
+      </div>
+    `;
+  }
+
+  renderInvestmentBonuses() {
+    const tracks = this.stats.investmentBonuses || {};
+    const trackNames = { weapon: 'Weapon Track', vitality: 'Vitality Track', spirit: 'Spirit Track' };
+
+    const rows = Object.entries(tracks).map(([category, track]) => {
+      const bonusText = this.formatBonus(track.bonus) || 'No bonus yet';
+      const nextText = track.nextThreshold !== null
+        ? `${track.soulsToNext.toLocaleString()} souls to T${track.tier + 1} (${this.formatBonus(track.nextBonus)})`
+        : 'Max tier reached';
+
+      return `
+        <div class="investment-track ${category}">
+          <div class="stat-row">
+            <span class="stat-name">${trackNames[category] || category} <span class="track-tier">T${track.tier}/${track.maxTier}</span></span>
+            <span class="stat-value${track.tier > 0 ? ' increased' : ''}">${bonusText}</span>
+          </div>
+          <div class="track-progress">
+            <div class="track-progress-fill" style="width: ${Math.round(Math.min(track.progress, 1) * 100)}%"></div>
+          </div>
+          <div class="track-next">${nextText}</div>
         </div>
-      `);
-    }
+      `;
+    });
+
+    return rows.length > 0 ? rows.join('') : '<div class="stat-row"><span class="stat-name">No bonuses yet</span></div>';
+  }
 
-    return bonuses.length > 0 ? bonuses.join('') : '<div class="stat-row"><span class="stat-name">No bonuses yet</span></div>';
+  formatBonus(bonus) {
+    return Object.entries(bonus || {})
+      .filter(([, value]) => value)
+      .map(([stat, value]) => {
+        const definition = getStatDefinition(stat);
+        const name = definition?.name || stat;
+        return `+${formatStat(value, definition?.format)} ${name}`;
+      })
+      .join(', ');
   }
 }
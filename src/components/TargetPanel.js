@@ -0,0 +1,154 @@
+// Target Panel Component - Enemy hero and items for time-to-kill comparisons
+
+const MAX_TARGET_ITEMS = 12;
+
+export class TargetPanel {
+  constructor(container, onTargetChange) {
+    this.container = container;
+    this.onTargetChange = onTargetChange;
+    this.heroes = [];
+    this.items = [];
+    this.heroId = '';
+    this.itemIds = [];
+    this.result = null;
+    this.targetStats = null;
+  }
+
+  setOptions(heroes, items) {
+    this.heroes = heroes;
+    this.items = items;
+    this.render();
+  }
+
+  setTarget(target) {
+    this.heroId = target?.heroId || '';
+    this.itemIds = target?.itemIds ? [...target.itemIds] : [];
+    this.render();
+  }
+
+  // targetStats is the target after our debuffs (resist shred, healing reduction)
+  setResult(result, targetStats = null) {
+    this.result = result;
+    this.targetStats = targetStats;
+    this.render();
+  }
+
+  getTarget() {
+    return this.heroId ? { heroId: this.heroId, itemIds: [...this.itemIds] } : null;
+  }
+
+  getTargetHero() {
+    return this.heroes.find(hero => hero.id === this.heroId) || null;
+  }
+
+  getTargetItems() {
+    return this.itemIds
+      .map(id => this.items.find(item => item.id === id))
+      .filter(item => item);
+  }
+
+  render() {
+    const availableItems = this.items.filter(item => !this.itemIds.includes(item.id));
+
+    this.container.innerHTML = `
+      <div class="target-controls">
+        <select class="target-select" id="target-hero">
+          <option value="">No target</option>
+          ${this.heroes.map(hero => `
+            <option value="${hero.id}" ${hero.id === this.heroId ? 'selected' : ''}>${hero.name}</option>
+          `).join('')}
+        </select>
+        ${this.heroId && this.itemIds.length < MAX_TARGET_ITEMS ? `
+          <select class="target-select" id="target-item">
+            <option value="">Add item...</option>
+            ${availableItems.map(item => `<option value="${item.id}">${item.name} (T${item.tier})</option>`).join('')}
+          </select>
+        ` : ''}
+      </div>
+      ${this.heroId ? `
+        <div class="target-items">
+          ${this.getTargetItems().map(item => `
+            <span class="target-item ${item.category}">
+              ${item.name}
+              <button class="target-item-remove" data-item-id="${item.id}" title="Remove item">&times;</button>
+            </span>
+          `).join('')}
+        </div>
+        ${this.renderResult()}
+      ` : ''}
+    `;
+
+    this.bindEvents();
+  }
+
+  renderResult() {
+    if (!this.result) return '';
+
+    const rows = [
+      { name: 'Our bullet TTK', value: this.formatTime(this.result.bulletTtk) },
+      { name: `Our combo TTK (${Math.round(this.result.comboDamage)} burst)`, value: this.formatTime(this.result.comboTtk) },
+      { name: 'Their TTK on us', value: this.formatTime(this.result.theirTtk) }
+    ];
+
+    if (this.targetStats) {
+      rows.push(
+        { name: 'Target bullet resist', value: `${Math.round(this.targetStats.bulletResist * 100)}%` },
+        { name: 'Target spirit resist', value: `${Math.round(this.targetStats.spiritResist * 100)}%` },
+        { name: 'Target healing (shooting)', value: `${this.targetStats.healingShooting.toFixed(1)}/s` }
+      );
+    }
+
+    const winning = this.result.comboTtk < this.result.theirTtk;
+
+    return `
+      <div class="target-result">
+        ${rows.map(row => `
+          <div class="stat-row">
+            <span class="stat-name">${row.name}</span>
+            <span class="stat-value">${row.value}</span>
+          </div>
+        `).join('')}
+        <div class="target-verdict ${winning ? 'winning' : 'losing'}">
+          ${winning ? 'You win the duel' : 'Target wins the duel'}
+        </div>
+      </div>
+    `;
+  }
+
+  formatTime(seconds) {
+    return Number.isFinite(seconds) ? `${seconds.toFixed(2)}s` : '∞';
+  }
+
+  bindEvents() {
+    const heroSelect = this.container.querySelector('#target-hero');
+    heroSelect.addEventListener('change', () => {
+      this.heroId = heroSelect.value;
+      this.itemIds = [];
+      this.notifyChange();
+    });
+
+    const itemSelect = this.container.querySelector('#target-item');
+    if (itemSelect) {
+      itemSelect.addEventListener('change', () => {
+        if (!itemSelect.value) return;
+        this.itemIds.push(itemSelect.value);
+        this.notifyChange();
+      });
+    }
+
+    this.container.querySelectorAll('.target-item-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.itemIds = this.itemIds.filter(id => id !== btn.dataset.itemId);
+        this.notifyChange();
+      });
+    });
+  }
+
+  notifyChange() {
+    this.render();
+
+    if (this.onTargetChange) {
+      this.onTargetChange(this.getTarget());
+    }
+  }
+}
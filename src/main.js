@@ -6,8 +6,29 @@ import { ItemShop } from './components/ItemShop.js';
 import { AbilityPanel } from './components/AbilityPanel.js';
 import { StatPanel } from './components/StatPanel.js';
 import { HeroBuild } from './components/HeroBuild.js';
-import { calculateStats } from './utils/calculator.js';
+import { CombatStatePanel } from './components/CombatStatePanel.js';
+import { TargetPanel } from './components/TargetPanel.js';
+import { ComboBuilder } from './components/ComboBuilder.js';
+import { BuildTimeline } from './components/BuildTimeline.js';
+import { BuildOptimizer } from './components/BuildOptimizer.js';
+import { BuildCompare } from './components/BuildCompare.js';
+import { BuildLibrary } from './components/BuildLibrary.js';
 import {
+  calculateStats,
+  calculateStatSets,
+  calculateComboDamage,
+  calculateDuel,
+  calculateRotation,
+  calculateBuildTimeline,
+  applyTargetDebuffs,
+  calculateItemPreview,
+  getCombatPassives,
+  simulateActives
+} from './utils/calculator.js';
+import { loadGameData, getProgression } from './utils/gameData.js';
+import {
+  saveBuild,
+  loadBuilds,
   saveCurrentBuild,
   loadCurrentBuild,
   encodeBuildToURL,
@@ -21,21 +42,56 @@ class DeadlockDesigner {
   constructor() {
     this.currentHero = null;
     this.abilityUpgrades = {};
+    this.combatState = {};
+    this.combatPassiveKey = '';
+    this.combo = [];
+    this.purchaseOrder = [];
+    this.fightLength = 20;
+    this.headshotRate = 0;
+    // Explicit soul level for ability unlocks and points; null follows the item cost total
+    this.soulLevel = null;
+    // Library entry the working build was loaded from or last saved to
+    this.libraryBuildId = null;
 
     // DOM elements
     this.heroSelectPanel = document.getElementById('hero-select');
     this.buildPanel = document.getElementById('build-panel');
     this.buildActions = document.getElementById('build-actions');
+    this.comparePanel = document.getElementById('compare-panel');
+    this.libraryPanel = document.getElementById('library-panel');
 
     // Initialize components
     this.heroSelect = new HeroSelect(this.heroSelectPanel, (hero) => this.onHeroSelected(hero));
     this.itemShop = new ItemShop(document.getElementById('item-shop'), (item, slot) => this.onItemSelected(item, slot));
     this.abilityPanel = new AbilityPanel(document.getElementById('abilities-grid'), (upgrades) => this.onUpgradesChanged(upgrades));
     this.statPanel = new StatPanel(document.getElementById('stats-panel'));
+    this.targetPanel = new TargetPanel(document.getElementById('target-panel'), () => this.onTargetChanged());
+    this.comboBuilder = new ComboBuilder(document.getElementById('combo-builder'), (steps) => this.onComboChanged(steps));
+    this.buildTimeline = new BuildTimeline(document.getElementById('build-timeline'), {
+      onOrderChange: (order) => this.onPurchaseOrderChanged(order),
+      onUseBuild: () => this.usePurchaseOrderFromBuild(),
+      getUnlockedSlots: () => this.heroBuild.getUnlockedSlotCount()
+    });
+    this.buildOptimizer = new BuildOptimizer(document.getElementById('build-optimizer'), {
+      getContext: () => this.getOptimizerContext(),
+      onLoadBuild: (itemIds) => this.loadOptimizedBuild(itemIds)
+    });
+    this.buildCompare = new BuildCompare(document.getElementById('build-compare'), {
+      getCurrentBuild: () => (this.currentHero ? this.getBuildData() : null),
+      getCalculationOptions: () => this.getCalculationOptions(),
+      onError: (message) => this.showToast(message)
+    });
+    this.buildLibrary = new BuildLibrary(document.getElementById('build-library'), {
+      getCurrentHero: () => this.currentHero,
+      onSave: (name) => this.saveToLibrary(name),
+      onLoad: (build) => this.loadLibraryBuild(build)
+    });
+    this.combatStatePanel = new CombatStatePanel(document.getElementById('combat-state'), (state) => this.onCombatStateChanged(state));
     this.heroBuild = new HeroBuild({
       onSlotClick: (slotInfo) => this.onSlotClicked(slotInfo),
       onItemRemove: () => this.recalculateStats(),
-      onStatsChange: () => this.recalculateStats()
+      onStatsChange: () => this.recalculateStats(),
+      onObjectivesChange: () => this.onObjectivesChanged()
     });
 
     // Bind navigation
@@ -43,6 +99,32 @@ class DeadlockDesigner {
     document.getElementById('save-build').addEventListener('click', () => this.saveBuild());
     document.getElementById('share-build').addEventListener('click', () => this.shareBuild());
     document.getElementById('reset-build').addEventListener('click', () => this.resetBuild());
+    document.getElementById('compare-builds').addEventListener('click', () => this.showComparePanel());
+    document.getElementById('close-compare').addEventListener('click', () => this.showBuildPanel());
+    document.getElementById('open-library').addEventListener('click', () => this.showLibraryPanel());
+    document.getElementById('hero-library').addEventListener('click', () => this.showLibraryPanel());
+    document.getElementById('close-library').addEventListener('click', () => {
+      if (this.currentHero) {
+        this.showBuildPanel();
+      } else {
+        this.showHeroSelect();
+      }
+    });
+    document.getElementById('fight-length').addEventListener('change', (e) => {
+      this.fightLength = Math.max(1, parseFloat(e.target.value) || 20);
+      this.recalculateStats();
+    });
+    document.getElementById('headshot-rate').addEventListener('change', (e) => {
+      this.headshotRate = Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100;
+      this.recalculateStats();
+    });
+    document.getElementById('soul-level').addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      this.soulLevel = Number.isFinite(value) ? Math.max(0, value) : null;
+      this.recalculateStats();
+      this.autoSave();
+    });
+    this.itemShop.setItemPreviewer((item, slotInfo) => this.getItemPreview(item, slotInfo));
 
     // Initialize
     this.init();
@@ -51,9 +133,16 @@ class DeadlockDesigner {
   async init() {
     // Load data
     await Promise.all([
+      loadGameData(),
       this.heroSelect.loadHeroes(),
       this.itemShop.loadItems()
     ]);
+    this.heroBuild.setFlexSlotUnlocks(getProgression()?.flexSlotUnlocks);
+    this.targetPanel.setOptions(this.heroSelect.heroes, this.itemShop.allItems);
+    this.buildTimeline.setCatalog(this.itemShop.allItems);
+    this.buildOptimizer.setCatalog(this.itemShop.allItems);
+    this.buildCompare.setOptions(this.heroSelect.heroes, this.itemShop.allItems);
+    this.buildLibrary.setHeroes(this.heroSelect.heroes);
 
     // Check for build in URL
     const urlBuild = decodeBuildFromURL();
@@ -94,9 +183,16 @@ class DeadlockDesigner {
 
     // Load saved build for this hero, or reset if none exists
     const savedBuild = loadHeroBuild(hero.id);
+    this.targetPanel.setTarget(savedBuild?.target);
+    this.combo = savedBuild?.combo || [];
+    this.purchaseOrder = savedBuild?.purchaseOrder || [];
+    this.setSoulLevel(savedBuild?.soulLevel ?? null);
+    this.libraryBuildId = savedBuild?.libraryId ?? null;
     if (savedBuild && savedBuild.slots) {
       this.heroBuild.reset();
-      this.heroBuild.loadBuild({ slots: savedBuild.slots });
+      this.combatState = savedBuild.combatState || {};
+      this.combatPassiveKey = null;
+      this.heroBuild.loadBuild({ slots: savedBuild.slots, objectives: savedBuild.objectives });
       if (savedBuild.upgrades) {
         this.abilityUpgrades = savedBuild.upgrades;
       }
@@ -130,10 +226,15 @@ class DeadlockDesigner {
     }
 
     if (result.success) {
+      if (result.consumed.length > 0) {
+        this.showToast(`Upgraded ${result.consumed.map(component => component.name).join(', ')} into ${item.name}`);
+      }
       this.recalculateStats();
       this.autoSave();
     } else if (result.reason === 'duplicate') {
       this.showToast(`${item.name} is already equipped!`);
+    } else if (result.reason === 'upgraded') {
+      this.showToast(`${item.name} was already upgraded into ${result.upgrade.name}`);
     }
   }
 
@@ -148,37 +249,250 @@ class DeadlockDesigner {
     this.autoSave();
   }
 
+  onObjectivesChanged() {
+    this.updateTimeline();
+    this.autoSave();
+  }
+
+  onCombatStateChanged(state) {
+    this.combatState = state;
+    this.recalculateStats();
+    this.autoSave();
+  }
+
   recalculateStats() {
     if (!this.currentHero) return;
 
     const items = this.heroBuild.getAllItems().filter(item => item !== null);
-    const stats = calculateStats(this.currentHero, items, this.abilityUpgrades);
+    this.syncCombatState(items);
+
+    const options = this.getCalculationOptions();
+    const { baseline, combat } = calculateStatSets(this.currentHero, items, this.abilityUpgrades, options);
+
+    const simulation = simulateActives(this.currentHero, items, this.abilityUpgrades, options);
 
     // Update stat panel
-    this.statPanel.setStats(stats, this.currentHero.baseStats);
+    this.statPanel.setStats(combat, this.currentHero.baseStats, baseline, simulation);
+
+    // Update ability panel with new spirit power and soul level
+    this.abilityPanel.setSouls(this.getSoulLevel());
+    this.abilityPanel.setStats(combat);
+
+    const targetStats = this.getTargetStats(combat);
+    this.updateTarget(combat, targetStats);
+    this.updateCombo(items, combat, targetStats);
+    this.updateTimeline();
+  }
+
+  getSoulLevel() {
+    return this.soulLevel ?? this.heroBuild.getTotalSouls();
+  }
+
+  setSoulLevel(soulLevel) {
+    this.soulLevel = soulLevel;
+    document.getElementById('soul-level').value = soulLevel ?? '';
+  }
+
+  onTargetChanged() {
+    this.recalculateStats();
+    this.autoSave();
+  }
+
+  onPurchaseOrderChanged(order) {
+    this.purchaseOrder = order;
+    this.updateTimeline();
+    this.autoSave();
+  }
+
+  // Seed the purchase order from the equipped items in slot order
+  usePurchaseOrderFromBuild() {
+    this.purchaseOrder = this.heroBuild.getEquippedItemIds().map(itemId => ({ action: 'buy', itemId }));
+    this.updateTimeline();
+    this.autoSave();
+  }
+
+  updateTimeline() {
+    const timeline = calculateBuildTimeline(
+      this.currentHero,
+      this.purchaseOrder,
+      this.itemShop.allItems,
+      this.abilityUpgrades,
+      this.getCalculationOptions()
+    );
+    this.buildTimeline.setTimeline(this.purchaseOrder, timeline);
+  }
+
+  onComboChanged(steps) {
+    this.combo = steps;
+    this.recalculateStats();
+    this.autoSave();
+  }
+
+  // Target stats with our debuffs applied
+  getTargetStats(ourStats) {
+    const targetHero = this.targetPanel.getTargetHero();
+    if (!targetHero) return null;
+
+    const targetStats = calculateStats(targetHero, this.targetPanel.getTargetItems(), {});
+    return applyTargetDebuffs(targetStats, ourStats.targetDebuffs);
+  }
+
+  updateTarget(ourStats, targetStats) {
+    if (!targetStats) return;
+
+    const debuffedUs = applyTargetDebuffs(ourStats, targetStats.targetDebuffs);
+    const comboDamage = calculateComboDamage(this.currentHero, ourStats.spiritPower, this.abilityUpgrades, ourStats.spiritAmp);
+    this.targetPanel.setResult(calculateDuel(debuffedUs, targetStats, comboDamage), targetStats);
+  }
 
-    // Update ability panel with new spirit power
-    this.abilityPanel.setSpiritPower(stats.spiritPower);
+  updateCombo(items, ourStats, targetStats) {
+    const options = [
+      ...this.currentHero.abilities
+        .filter(ability => ability.type !== 'passive')
+        .map(ability => ({ type: 'ability', id: ability.id, name: ability.name })),
+      ...items
+        .filter(item => item.active)
+        .map(item => ({ type: 'item', id: item.id, name: item.name }))
+    ];
+
+    const rotation = calculateRotation(this.combo, {
+      hero: this.currentHero,
+      items,
+      stats: ourStats,
+      abilityUpgrades: this.abilityUpgrades,
+      targetSpiritResist: targetStats ? targetStats.spiritResist : 0
+    });
+
+    this.comboBuilder.setRotation(options, rotation, targetStats ? targetStats.spiritResist : null);
+  }
+
+  getOptimizerContext() {
+    if (!this.currentHero) return null;
+
+    return {
+      hero: this.currentHero,
+      abilityUpgrades: this.abilityUpgrades,
+      options: this.getCalculationOptions()
+    };
+  }
+
+  // Fill the slots in order; flex slots the result needs get their objectives unlocked
+  loadOptimizedBuild(itemIds) {
+    const items = itemIds
+      .map(id => this.itemShop.allItems.find(item => item.id === id))
+      .filter(Boolean);
+
+    this.heroBuild.reset();
+    this.heroBuild.loadBuild({ slots: items });
+    this.recalculateStats();
+    this.autoSave();
+    this.showToast(`Loaded optimized build (${items.length} items)`);
+  }
+
+  getCalculationOptions() {
+    return {
+      combatState: this.combatState,
+      fightLength: this.fightLength,
+      headshotRate: this.headshotRate,
+      souls: this.soulLevel
+    };
+  }
+
+  // Stat changes from putting an item into the given slot
+  getItemPreview(item, slotInfo) {
+    if (!this.currentHero) return null;
+
+    return calculateItemPreview(
+      this.currentHero,
+      this.heroBuild.getAllItems(),
+      item,
+      slotInfo ? slotInfo.index : null,
+      this.abilityUpgrades,
+      this.getCalculationOptions()
+    );
+  }
+
+  syncCombatState(items) {
+    const passives = getCombatPassives(items);
+    const key = passives.map(passive => passive.itemId).join(',');
+
+    // Only re-render the toggles when the set of passives changes
+    if (key === this.combatPassiveKey) return;
+    this.combatPassiveKey = key;
+
+    // Newly equipped passives start fully active; drop state for removed items
+    const state = {};
+    passives.forEach(passive => {
+      state[passive.itemId] = this.combatState[passive.itemId] ?? passive.maxStacks;
+    });
+    this.combatState = state;
+
+    this.combatStatePanel.setPassives(passives, this.combatState);
+  }
+
+  hidePanels() {
+    [this.heroSelectPanel, this.buildPanel, this.buildActions, this.comparePanel, this.libraryPanel]
+      .forEach(panel => panel.classList.add('hidden'));
   }
 
   showHeroSelect() {
-    this.buildPanel.classList.add('hidden');
-    this.buildActions.classList.add('hidden');
+    this.hidePanels();
     this.heroSelectPanel.classList.remove('hidden');
   }
 
   showBuildPanel() {
-    this.heroSelectPanel.classList.add('hidden');
+    this.hidePanels();
     this.buildPanel.classList.remove('hidden');
     this.buildActions.classList.remove('hidden');
   }
 
+  showComparePanel() {
+    this.hidePanels();
+    this.comparePanel.classList.remove('hidden');
+    this.buildCompare.open();
+  }
+
+  showLibraryPanel() {
+    this.hidePanels();
+    this.libraryPanel.classList.remove('hidden');
+    this.buildLibrary.render();
+  }
+
   saveBuild() {
-    if (!this.currentHero) return;
+    this.saveToLibrary();
+  }
 
-    const buildData = this.getBuildData();
-    saveCurrentBuild(buildData);
-    this.showToast('Build saved!');
+  // Without a name, saving updates the library entry this build came from (or adds one);
+  // a name always saves a new entry
+  saveToLibrary(name = null) {
+    if (!this.currentHero) return null;
+
+    const builds = loadBuilds();
+    const existing = name ? null : builds.find(build => build.id === this.libraryBuildId);
+    const heroBuildCount = builds.filter(build => build.heroId === this.currentHero.id).length;
+
+    const build = saveBuild({
+      ...this.getBuildData(),
+      id: existing?.id ?? null,
+      name: name || existing?.name || `${this.currentHero.name} build ${heroBuildCount + 1}`
+    });
+    this.libraryBuildId = build.id;
+    this.autoSave();
+
+    this.showToast(existing ? `Updated "${build.name}"` : `Saved "${build.name}" to library`);
+    return build;
+  }
+
+  async loadLibraryBuild(build) {
+    if (!(await this.loadBuildFromData(build))) {
+      this.showToast('Could not load that build');
+      return;
+    }
+
+    // Drafts carry the library link they were saved with
+    if (build.id) this.libraryBuildId = build.id;
+    this.autoSave();
+    this.showToast(`Loaded ${build.name ? `"${build.name}"` : `${this.currentHero.name} draft`}`);
   }
 
   shareBuild() {
@@ -191,6 +505,7 @@ class DeadlockDesigner {
 
   resetBuild() {
     this.heroBuild.reset();
+    this.setSoulLevel(null);
     this.abilityPanel.setHero(this.currentHero);
     this.abilityUpgrades = this.abilityPanel.getUpgrades();
     this.recalculateStats();
@@ -200,7 +515,8 @@ class DeadlockDesigner {
 
   autoSave() {
     if (!this.currentHero) return;
-    const buildData = this.getBuildData();
+    // The library link stays local; share URLs come from getBuildData
+    const buildData = { ...this.getBuildData(), libraryId: this.libraryBuildId };
     // Save per-hero
     saveHeroBuild(this.currentHero.id, buildData);
     // Also save as current build for URL sharing
@@ -211,24 +527,50 @@ class DeadlockDesigner {
     return {
       heroId: this.currentHero?.id,
       slots: this.heroBuild.getBuildData().slots,
+      objectives: this.heroBuild.getObjectives(),
       upgrades: this.abilityUpgrades,
+      combatState: this.combatState,
+      target: this.targetPanel.getTarget(),
+      combo: this.combo,
+      purchaseOrder: this.purchaseOrder,
+      soulLevel: this.soulLevel,
       timestamp: Date.now()
     };
   }
 
+  // Resolves to whether the build was applied
   async loadBuildFromData(buildData) {
-    if (!buildData.heroId) return;
+    if (!buildData.heroId) return false;
 
     // Load hero
     try {
       const base = import.meta.env.BASE_URL;
       const response = await fetch(`${base}data/heroes/${buildData.heroId}.json`);
+      if (!response.ok) throw new Error(`Unknown hero "${buildData.heroId}"`);
       const hero = await response.json();
       this.onHeroSelected(hero);
+      this.libraryBuildId = buildData.libraryId ?? null;
 
       // Load items
+      if (buildData.combatState) {
+        this.combatState = buildData.combatState;
+        this.combatPassiveKey = null;
+      }
       if (buildData.slots) {
-        this.heroBuild.loadBuild({ slots: buildData.slots });
+        this.heroBuild.loadBuild({ slots: buildData.slots, objectives: buildData.objectives });
+      }
+
+      if (buildData.target) {
+        this.targetPanel.setTarget(buildData.target);
+      }
+      if (buildData.combo) {
+        this.combo = buildData.combo;
+      }
+      if (buildData.purchaseOrder) {
+        this.purchaseOrder = buildData.purchaseOrder;
+      }
+      if (buildData.soulLevel !== undefined) {
+        this.setSoulLevel(buildData.soulLevel);
       }
 
       // Load upgrades
@@ -238,8 +580,10 @@ class DeadlockDesigner {
       }
 
       this.recalculateStats();
+      return true;
     } catch (error) {
       console.error('Failed to load build:', error);
+      return false;
     }
   }
 
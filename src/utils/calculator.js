@@ -1,20 +1,51 @@
 // Stat calculation formulas for Deadlock
 
-export function calculateStats(hero, items, abilityUpgrades) {
-  // Start with base stats
-  const stats = { ...hero.baseStats };
-
-  // Initialize derived stats
-  stats.weaponDamage = 0;
-  stats.spiritPower = 0;
-  stats.bulletLifesteal = 0;
-  stats.spiritLifesteal = 0;
-  stats.bulletResist = 0;
-  stats.spiritResist = 0;
-  stats.cooldownReduction = 0;
-  stats.abilityRange = 0;
-  stats.abilityDuration = 0;
-  stats.stamina = stats.stamina || 3;
+import { getProgression, getStatDefinition, getBaseStatDefaults } from './gameData.js';
+
+// Passive fields that grant a stat while the passive's combat state is active
+const PASSIVE_BONUS_FIELDS = {
+  fireRateBonus: 'fireRate',
+  spiritBonus: 'spiritPower',
+  cooldownReduction: 'cooldownReduction'
+};
+
+// Active item fields that grant a stat while the active is running
+const ACTIVE_BONUS_FIELDS = {
+  fireRateBonus: ['fireRate'],
+  spiritBonus: ['spiritPower'],
+  moveSpeed: ['moveSpeed'],
+  bulletResistBonus: ['bulletResist'],
+  spiritResistBonus: ['spiritResist']
+};
+
+// Debuffs an item applies to the enemy it hits rather than to its owner
+const TARGET_DEBUFF_STATS = ['bulletResistReduction', 'spiritResistReduction', 'healingReduction'];
+
+// Target healing fields scaled down by healing reduction
+const HEALING_STATS = [
+  'healthRegen', 'bulletLifesteal', 'spiritLifesteal',
+  'healingShooting', 'healingCasting', 'healingOutOfCombat'
+];
+
+// Bullet share of incoming damage for the mixed effective health profile
+const MIXED_BULLET_SHARE = 0.5;
+
+const CONDITION_LABELS = {
+  close_range: 'Close range',
+  long_range: 'Long range',
+  high_health: 'Above 65% health'
+};
+
+export function calculateStats(hero, items, abilityUpgrades, options = {}) {
+  const combatState = options.combatState || {};
+  const activeItems = options.activeItems || [];
+  const totalSouls = items.reduce((sum, item) => sum + (item?.cost || 0), 0);
+  // An explicit soul level overrides the item cost total for hero level
+  const souls = options.souls ?? totalSouls;
+
+  // Start with base stats, filling gaps from the stat defaults
+  const baseStats = { ...getBaseStatDefaults(), ...hero.baseStats };
+  const modifiers = {};
 
   // Calculate investment track bonuses
   const investmentTotals = {
@@ -23,7 +54,7 @@ export function calculateStats(hero, items, abilityUpgrades) {
     spirit: 0
   };
 
-  // Apply item stats
+  // Collect item modifiers
   items.forEach(item => {
     if (!item) return;
 
@@ -32,120 +63,909 @@ export function calculateStats(hero, items, abilityUpgrades) {
       investmentTotals[item.category] = (investmentTotals[item.category] || 0) + item.cost;
     }
 
-    // Apply item stats
+    // Conditional stats only count while the item's combat state is active
+    const conditionalStats = item.passive?.conditionalStats || [];
     if (item.stats) {
       Object.entries(item.stats).forEach(([stat, value]) => {
-        if (stat === 'health' || stat === 'clipSize') {
-          stats[stat] = (stats[stat] || 0) + value;
-        } else if (stat === 'healthRegen' || stat === 'sprintSpeed' || stat === 'stamina') {
-          stats[stat] = (stats[stat] || 0) + value;
-        } else {
-          // Percentage-based stats
-          stats[stat] = (stats[stat] || 0) + value;
-        }
+        if (conditionalStats.includes(stat)) return;
+        addModifier(modifiers, stat, value, item.name, 'item');
       });
     }
   });
 
-  // Apply investment track bonuses
-  stats.investmentBonuses = calculateInvestmentBonuses(investmentTotals);
+  // Collect conditional and stacking passives
+  getCombatPassives(items).forEach(passive => {
+    const stacks = Math.min(combatState[passive.itemId] || 0, passive.maxStacks);
+    if (stacks <= 0) return;
 
-  // Apply investment bonuses to stats
-  if (stats.investmentBonuses.weapon) {
-    stats.weaponDamage += stats.investmentBonuses.weapon.weaponDamage || 0;
-  }
-  if (stats.investmentBonuses.vitality) {
-    stats.health += stats.investmentBonuses.vitality.health || 0;
-  }
-  if (stats.investmentBonuses.spirit) {
-    stats.spiritPower += stats.investmentBonuses.spirit.spiritPower || 0;
-  }
+    Object.entries(passive.bonus).forEach(([stat, value]) => {
+      addModifier(modifiers, stat, value * stacks / passive.maxStacks, `${passive.name} (${passive.label})`, 'passive');
+    });
+  });
+
+  // Collect bonuses from item actives that are currently running
+  getActiveItems(items).forEach(active => {
+    if (!activeItems.includes(active.itemId)) return;
+    Object.entries(active.bonus).forEach(([stat, value]) => {
+      addModifier(modifiers, stat, value, `${active.name} (active)`, 'active');
+    });
+  });
+
+  // Collect boons from hero level
+  const level = calculateLevel(hero, souls);
+  Object.entries(level.bonus).forEach(([stat, value]) => {
+    if (value) addModifier(modifiers, stat, value, `Level (${level.boons} boons)`, 'level');
+  });
+
+  // Collect investment track bonuses
+  const investmentBonuses = calculateInvestmentBonuses(investmentTotals);
+
+  Object.entries(investmentBonuses).forEach(([category, track]) => {
+    const source = `${category.charAt(0).toUpperCase()}${category.slice(1)} investment`;
+    Object.entries(track.bonus).forEach(([stat, value]) => addModifier(modifiers, stat, value, source, 'track'));
+  });
+
+  const stats = applyModifiers(baseStats, modifiers);
+  stats.investmentBonuses = investmentBonuses;
+  stats.level = level;
+  stats.breakdown = calculateBreakdown(baseStats, modifiers, stats);
 
   // Calculate derived stats
   stats.effectiveBulletDamage = stats.bulletDamage * (1 + stats.weaponDamage);
   stats.dps = stats.effectiveBulletDamage * stats.fireRate;
   stats.burstDamage = stats.effectiveBulletDamage * stats.clipSize;
+  Object.assign(stats, calculateMagazine(stats, items));
+  Object.assign(stats, calculateAccuracy(stats, items, options.headshotRate || 0));
   stats.effectiveHealth = calculateEffectiveHealth(stats.health, stats.bulletResist);
   stats.effectiveHealthSpirit = calculateEffectiveHealth(stats.health, stats.spiritResist);
+  stats.effectiveHealthMixed = calculateEffectiveHealth(
+    stats.health,
+    MIXED_BULLET_SHARE * stats.bulletResist + (1 - MIXED_BULLET_SHARE) * stats.spiritResist
+  );
+  Object.assign(stats, calculateSustain(stats, hero, items, abilityUpgrades || {}, options.fightLength || 20));
+
+  stats.targetDebuffs = calculateTargetDebuffs(items);
 
-  // Calculate total souls spent
-  stats.totalSouls = items.reduce((sum, item) => sum + (item?.cost || 0), 0);
+  stats.totalSouls = totalSouls;
 
   return stats;
 }
 
-function calculateInvestmentBonuses(totals) {
-  const bonuses = {
-    weapon: { weaponDamage: 0 },
-    vitality: { health: 0 },
-    spirit: { spiritPower: 0 }
+/**
+ * Calculate the build both out of combat and with its combat state applied
+ * @returns {{ baseline: object, combat: object }}
+ */
+export function calculateStatSets(hero, items, abilityUpgrades, options = {}) {
+  return {
+    baseline: calculateStats(hero, items, abilityUpgrades, { ...options, combatState: {} }),
+    combat: calculateStats(hero, items, abilityUpgrades, options)
+  };
+}
+
+/**
+ * List the conditional or stacking passives of the given items
+ * @param {Array} items - Equipped items (nulls allowed)
+ * @returns {Array<{ itemId, name, label, maxStacks, bonus }>} - bonus is the
+ *   full-stack stat bonus; partial stacks apply a proportional share of it
+ */
+export function getCombatPassives(items) {
+  const passives = [];
+
+  items.forEach(item => {
+    const passive = item?.passive;
+    if (!passive) return;
+
+    const bonus = {};
+    (passive.conditionalStats || []).forEach(stat => {
+      if (item.stats?.[stat] !== undefined) bonus[stat] = item.stats[stat];
+    });
+    Object.entries(PASSIVE_BONUS_FIELDS).forEach(([field, stat]) => {
+      if (passive[field]) bonus[stat] = (bonus[stat] || 0) + passive[field];
+    });
+    if (passive.maxBonus && passive.bonusStat) {
+      bonus[passive.bonusStat] = (bonus[passive.bonusStat] || 0) + passive.maxBonus;
+    }
+
+    if (Object.keys(bonus).length === 0) return;
+
+    passives.push({
+      itemId: item.id,
+      name: item.name,
+      label: CONDITION_LABELS[passive.condition] || (passive.maxStacks ? 'Stacks' : passive.maxBonus ? 'Fully ramped' : 'Triggered'),
+      maxStacks: passive.maxStacks || 1,
+      bonus
+    });
+  });
+
+  return passives;
+}
+
+/**
+ * Calculate a saved build the way the app shows it
+ * @param {object} hero - Hero data
+ * @param {object} build - Saved build: slots, upgrades, combatState, soulLevel
+ * @param {Array} catalog - Every purchasable item
+ * @param {object} options - calculateStats options; combatState comes from the build
+ * @returns {{ items: Array, unknownItemIds: Array<string>, stats: object }} -
+ *   slots resolve to the current catalog entry, falling back to the saved copy;
+ *   passives missing from the saved combat state start fully active;
+ *   souls default to the build's soul level
+ */
+export function calculateBuildStats(hero, build, catalog, options = {}) {
+  // Legacy builds store slots by category
+  const slots = Array.isArray(build.slots) ? build.slots : Object.values(build.slots || {}).flat();
+  const unknownItemIds = [];
+  const items = slots.filter(Boolean).map(slot => {
+    const item = catalog.find(i => i.id === slot.id);
+    if (!item) unknownItemIds.push(slot.id);
+    return item || slot;
+  });
+
+  const combatState = {};
+  getCombatPassives(items).forEach(passive => {
+    combatState[passive.itemId] = build.combatState?.[passive.itemId] ?? passive.maxStacks;
+  });
+
+  const stats = calculateStats(hero, items, build.upgrades || {}, {
+    ...options,
+    combatState,
+    souls: options.souls ?? build.soulLevel
+  });
+
+  return { items, unknownItemIds, stats };
+}
+
+/**
+ * List the item actives that grant stats while running
+ * @param {Array} items - Equipped items (nulls allowed)
+ * @returns {Array<{ itemId, name, cooldown, duration, bonus }>}
+ */
+export function getActiveItems(items) {
+  const actives = [];
+
+  items.forEach(item => {
+    const active = item?.active;
+    if (!active || !active.cooldown || !active.duration) return;
+
+    const bonus = {};
+    Object.entries(ACTIVE_BONUS_FIELDS).forEach(([field, targetStats]) => {
+      if (!active[field]) return;
+      targetStats.forEach(stat => {
+        bonus[stat] = (bonus[stat] || 0) + active[field];
+      });
+    });
+
+    if (Object.keys(bonus).length === 0) return;
+
+    actives.push({
+      itemId: item.id,
+      name: item.name,
+      cooldown: active.cooldown,
+      duration: active.duration,
+      bonus
+    });
+  });
+
+  return actives;
+}
+
+/**
+ * Simulate a fight where every buff active is cast on cooldown from t=0
+ * @param {object} options - calculateStats options plus fightLength (seconds)
+ * @returns {{ fightLength, average, peak, actives }} - average is weighted by
+ *   time spent in each buff window; actives lists casts and uptime per item
+ */
+export function simulateActives(hero, items, abilityUpgrades, options = {}) {
+  const fightLength = options.fightLength || 20;
+  const actives = getActiveItems(items);
+
+  // Cast windows for each active over the fight
+  const windows = actives.map(active => {
+    const casts = [];
+    for (let start = 0; start < fightLength; start += active.cooldown) {
+      casts.push({ start, end: Math.min(start + active.duration, fightLength) });
+    }
+    return { ...active, casts };
+  });
+
+  // Split the fight at every window edge; the buff set is constant in between
+  const edges = new Set([0, fightLength]);
+  windows.forEach(window => window.casts.forEach(cast => {
+    edges.add(cast.start);
+    edges.add(cast.end);
+  }));
+  const times = [...edges].sort((a, b) => a - b);
+
+  const cache = {};
+  const totals = { dps: 0, effectiveHealth: 0, effectiveHealthSpirit: 0 };
+  const peak = { dps: 0, effectiveHealth: 0, effectiveHealthSpirit: 0 };
+
+  for (let i = 0; i < times.length - 1; i++) {
+    const span = times[i + 1] - times[i];
+    const midpoint = times[i] + span / 2;
+    const running = windows
+      .filter(window => window.casts.some(cast => cast.start <= midpoint && midpoint < cast.end))
+      .map(window => window.itemId);
+
+    const key = running.join(',');
+    if (!cache[key]) {
+      cache[key] = calculateStats(hero, items, abilityUpgrades, { ...options, activeItems: running });
+    }
+
+    Object.keys(totals).forEach(stat => {
+      totals[stat] += cache[key][stat] * span;
+      peak[stat] = Math.max(peak[stat], cache[key][stat]);
+    });
+  }
+
+  const average = {};
+  Object.keys(totals).forEach(stat => {
+    average[stat] = totals[stat] / fightLength;
+  });
+
+  return {
+    fightLength,
+    average,
+    peak,
+    actives: windows.map(window => ({
+      itemId: window.itemId,
+      name: window.name,
+      casts: window.casts.length,
+      uptime: window.casts.reduce((sum, cast) => sum + cast.end - cast.start, 0) / fightLength
+    }))
+  };
+}
+
+// Sustained fire over repeated empty-and-reload cycles. Passive extraRounds
+// add bullets to every magazine; ammoReload refunds a fraction of the clip
+// each time its cooldown comes up, stretching the time between reloads.
+function calculateMagazine(stats, items) {
+  let extraRounds = 0;
+  let refundedPerSecond = 0;
+
+  items.forEach(item => {
+    const passive = item?.passive;
+    if (!passive) return;
+    extraRounds += passive.extraRounds || 0;
+    if (passive.ammoReload && passive.cooldown) {
+      refundedPerSecond += passive.ammoReload * stats.clipSize / passive.cooldown;
+    }
+  });
+
+  const magazine = stats.clipSize + extraRounds;
+  const timeToEmpty = stats.fireRate > 0 ? magazine / stats.fireRate : Infinity;
+  const cycleTime = timeToEmpty + stats.reloadTime;
+  const roundsPerCycle = magazine + refundedPerSecond * cycleTime;
+  const sustainedFireRate = Math.min(stats.fireRate, roundsPerCycle / cycleTime);
+
+  return {
+    magazine,
+    timeToEmpty,
+    damagePerMagazine: stats.effectiveBulletDamage * magazine,
+    burstDps: stats.dps,
+    sustainedDps: Number.isFinite(cycleTime) ? stats.effectiveBulletDamage * sustainedFireRate : 0
+  };
+}
+
+// Expected damage at a given headshot rate. Headshots scale a bullet by
+// headshotMultiplier (the shared default unless a hero's baseStats override it),
+// crit passives roll on every bullet, and
+// "next headshot" passives (headshotBonus) proc at most once per cooldown.
+function calculateAccuracy(stats, items, headshotRate) {
+  let critChance = 0;
+  let critMultiplier = 1;
+  let headshotBonusDps = 0;
+  const headshotsPerSecond = stats.fireRate * headshotRate;
+
+  items.forEach(item => {
+    const passive = item?.passive;
+    if (!passive) return;
+
+    if (passive.critChance) {
+      critChance = Math.min(1, critChance + passive.critChance);
+      critMultiplier = Math.max(critMultiplier, passive.critMultiplier || 1);
+    }
+    if (passive.headshotBonus && passive.cooldown) {
+      const procsPerSecond = Math.min(headshotsPerSecond, 1 / passive.cooldown);
+      headshotBonusDps += passive.headshotBonus * (1 + stats.weaponDamage) * procsPerSecond;
+    }
+  });
+
+  const headshotFactor = 1 + headshotRate * ((stats.headshotMultiplier || 1) - 1);
+  const critFactor = 1 + critChance * (critMultiplier - 1);
+  const accuracyFactor = headshotFactor * critFactor;
+
+  return {
+    headshotRate,
+    critChance,
+    expectedBulletDamage: stats.effectiveBulletDamage * accuracyFactor,
+    expectedDps: stats.dps * accuracyFactor + headshotBonusDps,
+    expectedSustainedDps: stats.sustainedDps * accuracyFactor + headshotBonusDps
   };
+}
+
+// Healing per second in three situations. Lifesteal heals off damage dealt:
+// bullets at expected sustained DPS, spirit at the DPS of casting every
+// damaging ability on cooldown. Proc heals (melee, on-ultimate) are averaged
+// over their cooldown; regen actives only count out of combat since damage
+// dispels them. Item heal amp applies to everything except innate regen.
+function calculateSustain(stats, hero, items, abilityUpgrades, fightLength) {
+  let healAmp = 0;
+  let meleeHealing = 0;
+  let castHealing = 0;
+  let restingHealing = 0;
+
+  items.forEach(item => {
+    const passive = item?.passive;
+    if (passive) {
+      healAmp += passive.healAmp || 0;
+      if (passive.meleeHeal && passive.cooldown) meleeHealing += passive.meleeHeal / passive.cooldown;
+      if (passive.regenPerSpirit && passive.cooldown) {
+        castHealing += passive.regenPerSpirit * stats.spiritPower / passive.cooldown;
+      }
+      if (passive.outOfCombatRegenPercent) restingHealing += passive.outOfCombatRegenPercent * stats.health;
+    }
+    if (item?.active?.healPerSecond) restingHealing += item.active.healPerSecond;
+  });
+
+  const spiritDps = (hero.abilities || []).reduce((sum, ability) => {
+    const level = abilityUpgrades[ability.id] || 0;
+    const damage = calculateAbilityDamage(ability, stats.spiritPower, level, stats.spiritAmp || 0);
+    const cooldown = (getUpgradedAbility(ability, level).cooldown || 0) * (1 - stats.cooldownReduction);
+    return damage && cooldown > 0 ? sum + damage.total / cooldown : sum;
+  }, 0);
+
+  const amp = 1 + healAmp;
+  const healingShooting = stats.healthRegen + amp * (stats.bulletLifesteal * stats.expectedSustainedDps + meleeHealing);
+  const healingCasting = stats.healthRegen + amp * (stats.spiritLifesteal * spiritDps + castHealing);
+  const healingOutOfCombat = stats.healthRegen + amp * restingHealing;
+
+  // Healing over the fight adds raw health, which the mixed resist profile stretches
+  const combatHealing = Math.max(healingShooting, healingCasting) * fightLength;
+
+  return {
+    spiritDps,
+    healingShooting,
+    healingCasting,
+    healingOutOfCombat,
+    sustainFightLength: fightLength,
+    effectiveHealthOverTime: stats.effectiveHealthMixed * (1 + combatHealing / stats.health)
+  };
+}
+
+// kind is one of 'item', 'passive', 'active', 'track' or 'level'
+function addModifier(modifiers, stat, value, source, kind) {
+  if (!modifiers[stat]) modifiers[stat] = [];
+  modifiers[stat].push({ value, source, kind });
+}
 
-  // Investment track thresholds based on actual tier costs: 800/1600/3200/6400
-  // Tier 1 threshold: ~800
-  // Tier 2 threshold: ~2400 (800 + 1600)
-  // Tier 3 threshold: ~5600 (800 + 1600 + 3200)
-  // Tier 4 threshold: ~12000 (800 + 1600 + 3200 + 6400)
-
-  // Weapon investment track
-  if (totals.weapon >= 12000) bonuses.weapon.weaponDamage = 0.28;
-  else if (totals.weapon >= 5600) bonuses.weapon.weaponDamage = 0.18;
-  else if (totals.weapon >= 2400) bonuses.weapon.weaponDamage = 0.10;
-  else if (totals.weapon >= 800) bonuses.weapon.weaponDamage = 0.04;
-
-  // Vitality investment track
-  if (totals.vitality >= 12000) bonuses.vitality.health = 375;
-  else if (totals.vitality >= 5600) bonuses.vitality.health = 225;
-  else if (totals.vitality >= 2400) bonuses.vitality.health = 125;
-  else if (totals.vitality >= 800) bonuses.vitality.health = 50;
-
-  // Spirit investment track
-  if (totals.spirit >= 12000) bonuses.spirit.spiritPower = 40;
-  else if (totals.spirit >= 5600) bonuses.spirit.spiritPower = 24;
-  else if (totals.spirit >= 2400) bonuses.spirit.spiritPower = 12;
-  else if (totals.spirit >= 800) bonuses.spirit.spiritPower = 4;
+const MODIFIER_FORMULAS = {
+  flat: 'Base + sum of sources',
+  percentBase: 'Base × (1 + sum of sources)',
+  multiplicative: 'Base × product of (1 + source)',
+  resist: '1 − product of (1 − source), then shred subtracted'
+};
+
+/**
+ * Provenance ledger: where every point of each base or modified stat comes from
+ * @returns {Object<string, { base, value, formula, capped, sources }>} - keyed by
+ *   stat; sources is [{ source, value, kind }] with the hero base first (kind 'base')
+ */
+function calculateBreakdown(baseStats, modifiers, stats) {
+  const breakdown = {};
+  const keys = new Set([...Object.keys(baseStats), ...Object.keys(modifiers)]);
+
+  keys.forEach(stat => {
+    if (typeof baseStats[stat] === 'object') return;
+
+    const definition = getStatDefinition(stat) || {};
+    const base = baseStats[stat] || 0;
+    const entries = modifiers[stat] || [];
+    const sources = entries.map(({ value, source, kind }) => ({ source, value, kind }));
+    if (base) sources.unshift({ source: 'Base', value: base, kind: 'base' });
+
+    const capped = (definition.min !== undefined && stats[stat] === definition.min && entries.length > 0)
+      || (definition.max !== undefined && stats[stat] === definition.max && entries.length > 0);
+
+    breakdown[stat] = {
+      base,
+      value: stats[stat],
+      formula: MODIFIER_FORMULAS[definition.modifier] || MODIFIER_FORMULAS.flat,
+      capped,
+      sources
+    };
+  });
+
+  return breakdown;
+}
+
+// Combine each stat's modifiers according to its stats.json definition:
+//   flat           - base + sum of values
+//   percentBase    - base * (1 + sum of values), e.g. +10% fire rate
+//   multiplicative - base * product of (1 + value), e.g. -20% reload time
+//   resist         - positive sources stack as 1 - product of (1 - value) so
+//                    they never reach 100%; negative values (shred) subtract after
+// A definition may also carry min/max to cap the result.
+function applyModifiers(baseStats, modifiers) {
+  const stats = { ...baseStats };
+
+  Object.entries(modifiers).forEach(([stat, entries]) => {
+    const definition = getStatDefinition(stat) || {};
+    const base = stats[stat] || 0;
+    const values = entries.map(entry => entry.value);
+    let value;
+
+    switch (definition.modifier) {
+      case 'percentBase':
+        value = base * (1 + values.reduce((sum, v) => sum + v, 0));
+        break;
+      case 'multiplicative':
+        value = values.reduce((product, v) => product * (1 + v), base);
+        break;
+      case 'resist':
+        value = combineResists([base, ...values]);
+        break;
+      default:
+        value = values.reduce((sum, v) => sum + v, base);
+    }
+
+    if (definition.min !== undefined) value = Math.max(definition.min, value);
+    if (definition.max !== undefined) value = Math.min(definition.max, value);
+
+    stats[stat] = value;
+  });
+
+  return stats;
+}
+
+// Investment track tiers come from progression.json. Each tier's bonus is
+// cumulative: reaching tier 3 grants the tier 1, 2 and 3 bonuses together.
+function calculateInvestmentBonuses(totals) {
+  const tracks = getProgression()?.investmentTrackBonuses || {};
+  const bonuses = {};
+
+  Object.entries(tracks).forEach(([category, tiers]) => {
+    const spent = totals[category] || 0;
+    const bonus = {};
+    let tier = 0;
+
+    tiers.forEach((entry, index) => {
+      if (spent < entry.threshold) return;
+      tier = index + 1;
+      Object.entries(entry.bonus).forEach(([stat, value]) => {
+        bonus[stat] = (bonus[stat] || 0) + value;
+      });
+    });
+
+    const next = tiers[tier] || null;
+    const previousThreshold = tier > 0 ? tiers[tier - 1].threshold : 0;
+
+    bonuses[category] = {
+      spent,
+      tier,
+      maxTier: tiers.length,
+      bonus,
+      nextThreshold: next ? next.threshold : null,
+      nextBonus: next ? next.bonus : null,
+      soulsToNext: next ? next.threshold - spent : 0,
+      progress: next ? (spent - previousThreshold) / (next.threshold - previousThreshold) : 1
+    };
+  });
 
   return bonuses;
 }
 
+// Heroes earn a boon at each soul threshold in hero.levelScaling (synced by
+// update-data.js); every boon adds the same perBoon stats.
+function calculateLevel(hero, souls) {
+  const scaling = hero.levelScaling;
+  if (!scaling) return { boons: 0, maxBoons: 0, bonus: {} };
+
+  const boons = (scaling.boonSouls || []).filter(threshold => souls >= threshold).length;
+  const bonus = {};
+  Object.entries(scaling.perBoon || {}).forEach(([stat, value]) => {
+    bonus[stat] = value * boons;
+  });
+
+  return { boons, maxBoons: (scaling.boonSouls || []).length, bonus };
+}
+
+function combineResists(values) {
+  const reduction = values.filter(v => v < 0).reduce((sum, v) => sum + v, 0);
+  const taken = values.filter(v => v > 0).reduce((product, v) => product * (1 - v), 1);
+  return 1 - taken + reduction;
+}
+
 function calculateEffectiveHealth(health, resist) {
   if (resist >= 1) return Infinity;
   return health / (1 - resist);
 }
 
-export function calculateAbilityDamage(ability, spiritPower, upgradeLevel = 0) {
+/**
+ * Apply the structured modifiers of every purchased upgrade tier to an ability
+ * @param {object} ability - Ability data with upgrades[].modifiers
+ * @param {number} upgradeLevel - Number of purchased tiers (0-3)
+ * @returns {object} Copy of the ability with upgraded numeric fields
+ */
+export function getUpgradedAbility(ability, upgradeLevel = 0) {
+  const upgraded = { ...ability };
+
+  (ability.upgrades || []).slice(0, upgradeLevel).forEach(upgrade => {
+    (upgrade.modifiers || []).forEach(({ stat, amount, kind }) => {
+      const value = upgraded[stat] || 0;
+      upgraded[stat] = kind === 'percent' ? value * (1 + amount) : value + amount;
+    });
+  });
+
+  return upgraded;
+}
+
+// Spirit amp multiplies the whole hit, after spirit power scaling and upgrades
+export function calculateAbilityDamage(ability, spiritPower, upgradeLevel = 0, spiritAmp = 0) {
   if (!ability.baseDamage) return null;
 
   const baseDamage = ability.baseDamage;
   const coefficient = ability.spiritCoefficient || 0;
   const spiritBonus = spiritPower * coefficient;
-
-  // Apply upgrade bonuses (simplified - would need full upgrade data)
-  let upgradeDamageBonus = 0;
-  if (upgradeLevel >= 1 && ability.upgrades[0]) {
-    const match = ability.upgrades[0].effect.match(/\+(\d+)\s*(?:Damage|DPS)/i);
-    if (match) upgradeDamageBonus += parseInt(match[1]);
-  }
-  if (upgradeLevel >= 2 && ability.upgrades[1]) {
-    const match = ability.upgrades[1].effect.match(/\+(\d+)\s*(?:Damage|DPS)/i);
-    if (match) upgradeDamageBonus += parseInt(match[1]);
-  }
-  if (upgradeLevel >= 3 && ability.upgrades[2]) {
-    const match = ability.upgrades[2].effect.match(/\+(\d+)\s*(?:Damage|DPS)/i);
-    if (match) upgradeDamageBonus += parseInt(match[1]);
-  }
+  const upgradeDamageBonus = getUpgradedAbility(ability, upgradeLevel).baseDamage - baseDamage;
+  const unamplified = baseDamage + spiritBonus + upgradeDamageBonus;
 
   return {
     base: baseDamage,
     spiritBonus: Math.round(spiritBonus),
     upgradeBonus: upgradeDamageBonus,
-    total: Math.round(baseDamage + spiritBonus + upgradeDamageBonus)
+    ampBonus: Math.round(unamplified * spiritAmp),
+    total: Math.round(unamplified * (1 + spiritAmp))
+  };
+}
+
+// Build stats that scale ability fields; other fields only change through upgrades
+const ABILITY_FIELD_SCALING = [
+  { pattern: /^cooldown$/, stat: 'cooldownReduction', scale: bonus => 1 - bonus },
+  { pattern: /^duration$|Duration$/, stat: 'abilityDuration', scale: bonus => 1 + bonus },
+  { pattern: /^(range|radius)$|(Range|Radius|Distance)$/, stat: 'abilityRange', scale: bonus => 1 + bonus }
+];
+
+// Coefficients and thresholds describe the ability rather than its output
+const ABILITY_FIELD_EXCLUDED = ['spiritCoefficient', 'bonusRangeThreshold', 'explosionThreshold', 'minSelfHealth'];
+
+/**
+ * Every numeric field of an ability, base value vs value after upgrades and build stats
+ * @param {object} ability - Ability data
+ * @param {object} stats - Final build stats from calculateStats
+ * @param {number} upgradeLevel - Number of purchased tiers (0-3)
+ * @returns {Array<{key: string, base: number, value: number, sources: Array}>}
+ */
+export function calculateAbilityStats(ability, stats, upgradeLevel = 0) {
+  const upgraded = getUpgradedAbility(ability, upgradeLevel);
+  const fields = [];
+
+  Object.keys(upgraded).forEach(key => {
+    if (typeof upgraded[key] !== 'number' || ABILITY_FIELD_EXCLUDED.includes(key)) return;
+    if (!upgraded[key] && !ability[key]) return;
+
+    const base = ability[key] || 0;
+    const sources = [];
+    let value = upgraded[key];
+
+    if (value !== base) {
+      sources.push({ stat: 'upgrades', amount: value - base });
+    }
+
+    if (key === 'baseDamage' && ability.baseDamage) {
+      const damage = calculateAbilityDamage(ability, stats.spiritPower || 0, upgradeLevel, stats.spiritAmp || 0);
+      if (damage.spiritBonus) sources.push({ stat: 'spiritPower', amount: damage.spiritBonus });
+      if (damage.ampBonus) sources.push({ stat: 'spiritAmp', amount: stats.spiritAmp });
+      value = damage.total;
+    }
+
+    const scaling = ABILITY_FIELD_SCALING.find(rule => rule.pattern.test(key));
+    if (scaling && stats[scaling.stat]) {
+      sources.push({ stat: scaling.stat, amount: stats[scaling.stat] });
+      value *= scaling.scale(stats[scaling.stat]);
+    }
+
+    fields.push({ key, base, value, sources });
+  });
+
+  return fields;
+}
+
+/**
+ * Total damage of every damaging ability cast once
+ * @param {object} hero - Hero data with abilities
+ * @param {number} spiritPower - Caster's spirit power
+ * @param {object} abilityUpgrades - Upgrade level per ability id
+ * @param {number} spiritAmp - Caster's spirit amp
+ * @returns {number}
+ */
+export function calculateComboDamage(hero, spiritPower, abilityUpgrades = {}, spiritAmp = 0) {
+  return hero.abilities.reduce((sum, ability) => {
+    const damage = calculateAbilityDamage(ability, spiritPower, abilityUpgrades[ability.id] || 0, spiritAmp);
+    return sum + (damage ? damage.total : 0);
+  }, 0);
+}
+
+// Debuffs come from an item's targetStats bucket and from debuff fields on its
+// passive or active. Resist shred adds up; healing reduction stacks like resist.
+function calculateTargetDebuffs(items) {
+  const sources = [];
+
+  items.forEach(item => {
+    if (!item) return;
+    [item.targetStats, item.passive, item.active].forEach(bucket => {
+      TARGET_DEBUFF_STATS.forEach(stat => {
+        if (bucket?.[stat]) sources.push({ source: item.name, stat, value: bucket[stat] });
+      });
+    });
+  });
+
+  const total = stat => sources.filter(s => s.stat === stat).map(s => s.value);
+
+  return {
+    bulletResistReduction: total('bulletResistReduction').reduce((sum, v) => sum + v, 0),
+    spiritResistReduction: total('spiritResistReduction').reduce((sum, v) => sum + v, 0),
+    healingReduction: combineResists(total('healingReduction')),
+    sources
   };
 }
 
+/**
+ * Apply an attacker's debuffs to the stats of the hero they hit
+ * @param {object} stats - calculateStats result for the debuffed hero
+ * @param {object} debuffs - targetDebuffs of the attacker's calculateStats result
+ * @returns {object} Copy of stats with resists shredded, healing reduced and EHP recomputed
+ */
+export function applyTargetDebuffs(stats, debuffs) {
+  if (!debuffs) return stats;
+
+  const debuffed = { ...stats };
+  debuffed.bulletResist = stats.bulletResist - debuffs.bulletResistReduction;
+  debuffed.spiritResist = stats.spiritResist - debuffs.spiritResistReduction;
+
+  HEALING_STATS.forEach(stat => {
+    if (stats[stat]) debuffed[stat] = stats[stat] * (1 - debuffs.healingReduction);
+  });
+
+  debuffed.effectiveHealth = calculateEffectiveHealth(debuffed.health, debuffed.bulletResist);
+  debuffed.effectiveHealthSpirit = calculateEffectiveHealth(debuffed.health, debuffed.spiritResist);
+  debuffed.effectiveHealthMixed = calculateEffectiveHealth(
+    debuffed.health,
+    MIXED_BULLET_SHARE * debuffed.bulletResist + (1 - MIXED_BULLET_SHARE) * debuffed.spiritResist
+  );
+
+  return debuffed;
+}
+
+/**
+ * Time-to-kill in both directions for a duel where both heroes shoot each
+ * other. Each side heals through regen and bullet lifesteal on the damage it
+ * deals; the combo TTK opens with our full ability rotation before shooting.
+ * @param {object} ourStats - calculateStats result for our hero
+ * @param {object} targetStats - calculateStats result for the target
+ * @param {number} comboDamage - Our raw ability burst (before spirit resist)
+ * @returns {{ bulletTtk, comboTtk, comboDamage, theirTtk, ourDamagePerSecond, theirDamagePerSecond }}
+ */
+export function calculateDuel(ourStats, targetStats, comboDamage = 0) {
+  const ourDamagePerSecond = ourStats.dps * (1 - targetStats.bulletResist);
+  const theirDamagePerSecond = targetStats.dps * (1 - ourStats.bulletResist);
+
+  const ourHealing = (ourStats.healthRegen || 0) + (ourStats.bulletLifesteal || 0) * ourDamagePerSecond;
+  const theirHealing = (targetStats.healthRegen || 0) + (targetStats.bulletLifesteal || 0) * theirDamagePerSecond;
+
+  const comboAfterResist = comboDamage * (1 - targetStats.spiritResist);
+
+  return {
+    bulletTtk: timeToKill(targetStats.health, 0, ourDamagePerSecond, theirHealing),
+    comboTtk: timeToKill(targetStats.health, comboAfterResist, ourDamagePerSecond, theirHealing),
+    comboDamage: comboAfterResist,
+    theirTtk: timeToKill(ourStats.health, 0, theirDamagePerSecond, ourHealing),
+    ourDamagePerSecond,
+    theirDamagePerSecond
+  };
+}
+
+function timeToKill(health, burst, damagePerSecond, healingPerSecond) {
+  const remaining = health - burst;
+  if (remaining <= 0) return 0;
+
+  const net = damagePerSecond - healingPerSecond;
+  return net > 0 ? remaining / net : Infinity;
+}
+
+// Seconds spent casting when an ability has no charge time of its own
+const DEFAULT_CAST_TIME = 0.5;
+
+/**
+ * Play out an ordered combo of abilities and item actives
+ * @param {Array<{type: string, id: string}>} steps - type is 'ability' or 'item'
+ * @param {object} context - { hero, items, stats, abilityUpgrades, targetSpiritResist }
+ * @returns {{ steps, totalDamage, castTime, targetDamage }} - a repeated step
+ *   waits for its cooldown; ability cooldowns use the build's cooldown reduction
+ */
+export function calculateRotation(steps, context) {
+  const { hero, items, stats, abilityUpgrades = {}, targetSpiritResist = 0 } = context;
+  const readyAt = {};
+  const resolved = [];
+  let time = 0;
+
+  steps.forEach(step => {
+    const cast = resolveRotationStep(step, hero, items, stats, abilityUpgrades);
+    if (!cast) return;
+
+    const key = `${step.type}:${step.id}`;
+    const start = Math.max(time, readyAt[key] || 0);
+    readyAt[key] = start + cast.cooldown;
+    time = start + cast.castTime;
+
+    resolved.push({ ...step, name: cast.name, damage: cast.damage, start });
+  });
+
+  const totalDamage = resolved.reduce((sum, step) => sum + step.damage, 0);
+
+  return {
+    steps: resolved,
+    totalDamage,
+    castTime: time,
+    targetDamage: totalDamage * (1 - targetSpiritResist)
+  };
+}
+
+function resolveRotationStep(step, hero, items, stats, abilityUpgrades) {
+  const spiritPower = stats.spiritPower || 0;
+  const spiritAmp = stats.spiritAmp || 0;
+
+  if (step.type === 'ability') {
+    const ability = hero.abilities.find(a => a.id === step.id);
+    if (!ability) return null;
+
+    const level = abilityUpgrades[ability.id] || 0;
+    const upgraded = getUpgradedAbility(ability, level);
+    const damage = calculateAbilityDamage(ability, spiritPower, level, spiritAmp);
+
+    return {
+      name: ability.name,
+      damage: damage ? damage.total : 0,
+      cooldown: (upgraded.cooldown || 0) * (1 - (stats.cooldownReduction || 0)),
+      castTime: upgraded.chargeTime || DEFAULT_CAST_TIME
+    };
+  }
+
+  const item = items.find(i => i?.id === step.id);
+  if (!item?.active) return null;
+
+  const active = item.active;
+  return {
+    name: item.name,
+    damage: active.baseDamage
+      ? Math.round((active.baseDamage + spiritPower * (active.spiritCoefficient || 0)) * (1 + spiritAmp))
+      : 0,
+    cooldown: active.cooldown || 0,
+    castTime: DEFAULT_CAST_TIME
+  };
+}
+
+// Items that list this item as a component
+export function getItemUpgrades(item, catalog) {
+  return catalog.filter(candidate => (candidate.components || []).includes(item.id));
+}
+
+/**
+ * Price of buying an item given what is already owned
+ * @param {object} item - Item being bought
+ * @param {Array} ownedItems - Items currently owned
+ * @returns {{ cost: number, consumed: Array }} - Owned components are consumed by the
+ *   upgrade and their cost is deducted, so sticker prices still sum to souls spent
+ */
+export function getItemPurchase(item, ownedItems) {
+  const components = item.components || [];
+  const consumed = ownedItems.filter(owned => owned && components.includes(owned.id));
+  const discount = consumed.reduce((sum, component) => sum + component.cost, 0);
+
+  return { cost: Math.max(0, item.cost - discount), consumed };
+}
+
+/**
+ * Compare the build before and after putting an item into a slot
+ * @param {object} hero - Hero data
+ * @param {Array} slots - Current item slots (nulls allowed)
+ * @param {object} item - Item being previewed; it consumes owned components
+ * @param {number|null} slotIndex - Slot to place it in, replacing that slot's item; null adds it
+ * @param {object} options - calculateStats options
+ * @returns {{ deltas: Array<{ stat, before, after }>, trackChanges: Array<{ category, from, to }>, dps: number, ehp: number }} -
+ *   deltas cover every ledger stat that changes; dps and ehp are expected DPS and mixed EHP gains
+ */
+export function calculateItemPreview(hero, slots, item, slotIndex, abilityUpgrades, options = {}) {
+  const { consumed } = getItemPurchase(item, slots);
+  const withItem = slots.map(slot => (consumed.includes(slot) ? null : slot));
+  if (slotIndex === null || slotIndex === undefined) {
+    withItem.push(item);
+  } else {
+    withItem[slotIndex] = item;
+  }
+
+  const before = calculateStats(hero, slots.filter(Boolean), abilityUpgrades, options);
+  const after = calculateStats(hero, withItem.filter(Boolean), abilityUpgrades, options);
+
+  const statKeys = new Set([...Object.keys(before.breakdown), ...Object.keys(after.breakdown)]);
+  const deltas = [...statKeys]
+    .filter(stat => Math.abs((after[stat] || 0) - (before[stat] || 0)) > 0.0001)
+    .map(stat => ({ stat, before: before[stat] || 0, after: after[stat] || 0 }));
+
+  const trackChanges = Object.keys(after.investmentBonuses)
+    .filter(category => after.investmentBonuses[category].tier !== before.investmentBonuses[category]?.tier)
+    .map(category => ({
+      category,
+      from: before.investmentBonuses[category]?.tier || 0,
+      to: after.investmentBonuses[category].tier
+    }));
+
+  return {
+    deltas,
+    trackChanges,
+    dps: after.expectedDps - before.expectedDps,
+    ehp: after.effectiveHealthMixed - before.effectiveHealthMixed
+  };
+}
+
+// Share of an item's cost refunded when it is sold
+const SELL_REFUND = 0.5;
+
+/**
+ * Replay a purchase order, snapshotting the build after every buy or sell
+ * @param {object} hero - Hero data
+ * @param {Array<{action: string, itemId: string}>} order - action is 'buy' or 'sell'
+ * @param {Array} catalog - Every purchasable item
+ * @param {object} options - calculateStats options
+ * @returns {Array<{ action, item, valid, soulsEarned, bank, items, abilityPoints, stats }>} -
+ *   soulsEarned is the lifetime souls needed to afford the order so far and never drops;
+ *   sell refunds go to bank, which pays for later buys before new souls are needed;
+ *   buying an upgrade consumes owned components at a discount;
+ *   invalid steps (duplicate buys, selling an unowned item) are kept but skipped
+ */
+export function calculateBuildTimeline(hero, order, catalog, abilityUpgrades, options = {}) {
+  let owned = [];
+  let soulsEarned = 0;
+  let bank = 0;
+
+  return order.map(step => {
+    const item = catalog.find(i => i.id === step.itemId) || null;
+    const isOwned = owned.some(i => i.id === step.itemId);
+    const valid = item !== null && (step.action === 'sell' ? isOwned : !isOwned);
+
+    if (valid && step.action === 'sell') {
+      owned = owned.filter(i => i.id !== item.id);
+      bank += Math.floor(item.cost * SELL_REFUND);
+    } else if (valid) {
+      const purchase = getItemPurchase(item, owned);
+      const fromBank = Math.min(bank, purchase.cost);
+      owned = [...owned.filter(i => !purchase.consumed.includes(i)), item];
+      bank -= fromBank;
+      soulsEarned += purchase.cost - fromBank;
+    }
+
+    return {
+      action: step.action,
+      item,
+      valid,
+      soulsEarned,
+      bank,
+      items: owned,
+      abilityPoints: getAbilityPointsAvailable(soulsEarned),
+      stats: calculateStats(hero, owned, abilityUpgrades, { ...options, souls: soulsEarned })
+    };
+  });
+}
+
+// Ability point cost of each upgrade tier, from progression.json
+export function getAbilityUpgradeCosts() {
+  const costs = getProgression()?.abilityUpgradeCosts || {};
+  return [costs.tier1 ?? 1, costs.tier2 ?? 2, costs.tier3 ?? 5];
+}
+
 export function calculateAbilityPointsUsed(abilityUpgrades) {
   let total = 0;
-  const costs = [1, 2, 5];
+  const costs = getAbilityUpgradeCosts();
 
   Object.values(abilityUpgrades).forEach(level => {
     for (let i = 0; i < level && i < costs.length; i++) {
@@ -156,22 +976,9 @@ export function calculateAbilityPointsUsed(abilityUpgrades) {
   return total;
 }
 
+// Ability points earned at the soul milestones in progression.json
 export function getAbilityPointsAvailable(totalSouls) {
-  // Ability points earned at soul milestones
-  const milestones = [
-    { souls: 0, points: 1 },
-    { souls: 1000, points: 2 },
-    { souls: 2500, points: 3 },
-    { souls: 4000, points: 4 },
-    { souls: 6000, points: 5 },
-    { souls: 8000, points: 6 },
-    { souls: 10000, points: 7 },
-    { souls: 13000, points: 8 },
-    { souls: 16000, points: 9 },
-    { souls: 20000, points: 10 },
-    { souls: 25000, points: 11 },
-    { souls: 30000, points: 12 }
-  ];
+  const milestones = getProgression()?.abilityPointMilestones || [];
 
   let points = 0;
   for (const milestone of milestones) {
@@ -185,8 +992,17 @@ export function getAbilityPointsAvailable(totalSouls) {
   return points;
 }
 
+// Abilities unlock by hotkey: 1-3 map to ability1-3, 4 to the ultimate
+export function getAbilityUnlockSouls(ability) {
+  const unlocks = getProgression()?.abilityUnlocks || {};
+  const key = ability.key === '4' || ability.type === 'ultimate' ? 'ultimate' : `ability${ability.key}`;
+  return unlocks[key] || 0;
+}
+
 export function formatStat(value, format) {
   switch (format) {
+    case 'multiplier':
+      return `x${value.toFixed(2)}`;
     case 'percent':
       return `${Math.round(value * 100)}%`;
     case 'perSecond':
@@ -0,0 +1,65 @@
+// Shared game data (progression tables, stat definitions) used by the calculator
+
+let progression = null;
+let statDefinitions = {};
+let baseStatDefaults = {};
+
+/**
+ * Fetch progression and stat data from the public data folder
+ * @returns {Promise<void>}
+ */
+export async function loadGameData() {
+  try {
+    const base = import.meta.env.BASE_URL;
+    const [progressionResponse, statsResponse] = await Promise.all([
+      fetch(`${base}data/progression.json`),
+      fetch(`${base}data/stats.json`)
+    ]);
+
+    setGameData({
+      progression: await progressionResponse.json(),
+      stats: await statsResponse.json()
+    });
+  } catch (error) {
+    console.error('Failed to load game data:', error);
+  }
+}
+
+/**
+ * Provide game data directly (e.g. when it was read from disk)
+ * @param {{ progression: object, stats: object }} data
+ */
+export function setGameData(data) {
+  progression = data.progression || null;
+  statDefinitions = data.stats?.statDefinitions || {};
+  baseStatDefaults = data.stats?.baseStatDefaults || {};
+}
+
+/**
+ * @returns {object|null} - Contents of progression.json, or null if not loaded
+ */
+export function getProgression() {
+  return progression;
+}
+
+/**
+ * @param {string} stat - Stat key (e.g. "weaponDamage")
+ * @returns {object|null} - Entry from stats.json statDefinitions
+ */
+export function getStatDefinition(stat) {
+  return statDefinitions[stat] || null;
+}
+
+/**
+ * @returns {object} - Every stats.json statDefinitions entry, keyed by stat
+ */
+export function getStatDefinitions() {
+  return statDefinitions;
+}
+
+/**
+ * @returns {object} - Default values for stats a hero's baseStats may omit
+ */
+export function getBaseStatDefaults() {
+  return baseStatDefaults;
+}
@@ -0,0 +1,14 @@
+// Markup helpers for user-provided text
+
+/**
+ * Escape text for use in element content and quoted attributes
+ * @param {string} text - e.g. a build name
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,136 @@
+// Build optimizer - beam search over item combinations scored with calculateStats
+
+import { calculateStats, calculateComboDamage, getCombatPassives } from './calculator.js';
+
+// Builds kept per search depth; wider beams find better builds but run longer
+const BEAM_WIDTH = 12;
+const RESULT_COUNT = 5;
+
+export const OBJECTIVES = {
+  dps: { name: 'DPS', score: metrics => metrics.dps },
+  ehp: { name: 'Effective HP', score: metrics => metrics.ehp },
+  burst: { name: 'Spirit burst', score: metrics => metrics.burst },
+  mix: { name: 'Weighted mix', score: null }
+};
+
+/**
+ * Search the item pool for the builds that best meet an objective
+ * @param {object} hero - Hero data
+ * @param {Array} catalog - Every purchasable item (with category)
+ * @param {object} constraints - { budget, slots, required: [id], banned: [id],
+ *   objective: key of OBJECTIVES, weights: { dps, ehp, burst }, minDps, minEhp }
+ * @param {object} context - { abilityUpgrades, options } passed to calculateStats
+ * @param {function} onProgress - Called with (depth, maxDepth) after each depth
+ * @returns {{ results: Array<{ items, cost, score, feasible, metrics }>, error: string|null }} -
+ *   results are best first; builds meeting every minimum come before those that don't
+ */
+export function optimizeBuild(hero, catalog, constraints, context = {}, onProgress = null) {
+  const required = constraints.required
+    .map(id => catalog.find(item => item.id === id))
+    .filter(Boolean);
+  const requiredCost = required.reduce((sum, item) => sum + item.cost, 0);
+
+  if (required.length > constraints.slots) {
+    return { results: [], error: `${required.length} required items need more than ${constraints.slots} slots` };
+  }
+  if (requiredCost > constraints.budget) {
+    return { results: [], error: `Required items cost ${requiredCost.toLocaleString()} souls, over the budget` };
+  }
+
+  const pool = catalog.filter(item => !constraints.banned.includes(item.id) && !constraints.required.includes(item.id));
+  // Unequipped baseline so the weighted mix compares relative gains
+  const baseline = evaluateMetrics(hero, [], context);
+
+  const candidates = new Map();
+  const evaluate = items => {
+    const key = items.map(item => item.id).sort().join(',');
+    if (!candidates.has(key)) {
+      const metrics = evaluateMetrics(hero, items, context);
+      const score = scoreMetrics(metrics, baseline, constraints);
+      const shortfall = getShortfall(metrics, constraints);
+      candidates.set(key, {
+        items,
+        cost: items.reduce((sum, item) => sum + item.cost, 0),
+        score,
+        feasible: shortfall === 0,
+        // Builds short of a minimum still seed the next depth, ranked by how close they are
+        rank: score * (1 - Math.min(1, shortfall)),
+        metrics
+      });
+    }
+    return candidates.get(key);
+  };
+
+  let beam = [evaluate(required)];
+  const maxDepth = constraints.slots - required.length;
+
+  for (let depth = 0; depth < maxDepth; depth++) {
+    const expanded = new Map();
+
+    beam.forEach(build => {
+      pool.forEach(item => {
+        if (!canAdd(build, item, constraints.budget)) return;
+        const next = evaluate([...build.items, item]);
+        expanded.set(next.items.map(i => i.id).sort().join(','), next);
+      });
+    });
+
+    if (expanded.size === 0) break;
+    beam = [...expanded.values()].sort((a, b) => b.rank - a.rank).slice(0, BEAM_WIDTH);
+    if (onProgress) onProgress(depth + 1, maxDepth);
+  }
+
+  const results = [...candidates.values()]
+    .sort((a, b) => (b.feasible - a.feasible) || (b.score - a.score))
+    .slice(0, RESULT_COUNT)
+    .map(({ rank, ...result }) => result);
+
+  return { results, error: null };
+}
+
+// Items fit if they are affordable, not owned, and not a component or upgrade of an owned item
+function canAdd(build, item, budget) {
+  if (build.cost + item.cost > budget) return false;
+
+  return !build.items.some(owned => owned.id === item.id
+    || (owned.components || []).includes(item.id)
+    || (item.components || []).includes(owned.id));
+}
+
+// Conditional passives are assumed fully stacked: the optimizer rates builds mid-fight
+function evaluateMetrics(hero, items, context) {
+  const combatState = {};
+  getCombatPassives(items).forEach(passive => {
+    combatState[passive.itemId] = passive.maxStacks;
+  });
+
+  const abilityUpgrades = context.abilityUpgrades || {};
+  const stats = calculateStats(hero, items, abilityUpgrades, { ...context.options, combatState });
+
+  return {
+    dps: stats.expectedDps,
+    ehp: stats.effectiveHealthMixed,
+    burst: calculateComboDamage(hero, stats.spiritPower, abilityUpgrades, stats.spiritAmp),
+    spiritPower: stats.spiritPower
+  };
+}
+
+// The weighted mix sums each metric relative to the unequipped hero
+function scoreMetrics(metrics, baseline, constraints) {
+  const objective = OBJECTIVES[constraints.objective] || OBJECTIVES.dps;
+  if (objective.score) return objective.score(metrics);
+
+  const weights = constraints.weights || {};
+  return ['dps', 'ehp', 'burst'].reduce((sum, key) => {
+    const relative = baseline[key] > 0 ? metrics[key] / baseline[key] : 0;
+    return sum + (weights[key] || 0) * relative;
+  }, 0);
+}
+
+// Sum of relative shortfalls below each minimum; 0 when all are met
+function getShortfall(metrics, constraints) {
+  let shortfall = 0;
+  if (constraints.minDps > 0) shortfall += Math.max(0, 1 - metrics.dps / constraints.minDps);
+  if (constraints.minEhp > 0) shortfall += Math.max(0, 1 - metrics.ehp / constraints.minEhp);
+  return shortfall;
+}
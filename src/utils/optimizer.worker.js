@@ -0,0 +1,22 @@
+// Build optimizer worker - runs optimizeBuild off the main thread
+
+import { setGameData } from './gameData.js';
+import { optimizeBuild } from './optimizer.js';
+
+// Message: { gameData, hero, catalog, constraints, context }
+// Replies: { type: 'progress', depth, maxDepth } then { type: 'done', results, error }
+self.addEventListener('message', (e) => {
+  const { gameData, hero, catalog, constraints, context } = e.data;
+  setGameData(gameData);
+
+  const { results, error } = optimizeBuild(hero, catalog, constraints, context, (depth, maxDepth) => {
+    self.postMessage({ type: 'progress', depth, maxDepth });
+  });
+
+  self.postMessage({
+    type: 'done',
+    // Send ids back so the main thread loads its own item objects
+    results: results.map(result => ({ ...result, items: result.items.map(item => item.id) })),
+    error
+  });
+});
@@ -13,14 +13,19 @@ export function loadBuilds() {
   return data ? JSON.parse(data) : [];
 }
 
+// Named builds keep createdAt from their first save; updatedAt changes on every save
 export function saveBuild(build) {
   const builds = loadBuilds();
   const existingIndex = builds.findIndex(b => b.id === build.id);
+  build.updatedAt = Date.now();
 
   if (existingIndex >= 0) {
+    build.createdAt = builds[existingIndex].createdAt ?? build.updatedAt;
     builds[existingIndex] = build;
   } else {
-    build.id = Date.now().toString();
+    // Suffix keeps ids unique when builds are created in the same millisecond
+    build.id = `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    build.createdAt = build.updatedAt;
     builds.push(build);
   }
 
@@ -28,6 +33,16 @@ export function saveBuild(build) {
   return build;
 }
 
+export function renameBuild(buildId, name) {
+  const build = loadBuilds().find(b => b.id === buildId);
+  return build ? saveBuild({ ...build, name }) : null;
+}
+
+export function duplicateBuild(buildId) {
+  const build = loadBuilds().find(b => b.id === buildId);
+  return build ? saveBuild({ ...build, id: null, name: `${build.name || 'Untitled build'} (copy)` }) : null;
+}
+
 export function deleteBuild(buildId) {
   const builds = loadBuilds().filter(b => b.id !== buildId);
   saveBuilds(builds);
@@ -83,15 +98,21 @@ export function decodeBuildFromURL() {
   const params = new URLSearchParams(window.location.search);
   const buildData = params.get('build');
 
-  if (buildData) {
-    try {
-      return JSON.parse(atob(buildData));
-    } catch (e) {
-      console.error('Failed to decode build from URL:', e);
-      return null;
-    }
+  return buildData ? decodeBuildFromString(buildData) : null;
+}
+
+// Accepts a full share URL or just its encoded build parameter
+export function decodeBuildFromString(text) {
+  try {
+    const trimmed = text.trim();
+    const encoded = trimmed.includes('build=')
+      ? new URL(trimmed, window.location.href).searchParams.get('build')
+      : trimmed;
+    return JSON.parse(atob(encoded));
+  } catch (e) {
+    console.error('Failed to decode build:', e);
+    return null;
   }
-  return null;
 }
 
 export function copyToClipboard(text) {